@@ -4,11 +4,19 @@
  * Chrome拡張機能のバックグラウンドで動作するService Worker。
  * 以下の役割を担う:
  *
- * 1. 有効化されたオリジンの管理（chrome.storage.local に保存）
+ * 1. 有効化されたオリジン・パターンルールの管理（chrome.storage.local に保存）
  * 2. 動的な権限の取得・取り消し（chrome.permissions API）
- * 3. Content Script のオンデマンド注入（chrome.scripting API）
+ * 3. Content Script のオンデマンド注入（chrome.scripting API、iframe を含む全フレーム）
  * 4. アイコンバッジの状態表示
- * 5. 許可済みサイトでの自動有効化
+ * 5. 許可済みサイトでの自動有効化（document_start で動く Content Script の登録）
+ * 6. サイトごとの解除機能の設定管理
+ * 7. 解除したサイトでの右クリックメニューの追加（chrome.contextMenus API）
+ * 8. キーボードショートカットでの切り替え（chrome.commands API）
+ * 9. 期限付き・今回限りの解除と期限切れの無効化（chrome.alarms API）
+ * 10. サイト一覧と設定のインポート・エクスポート
+ * 11. 端末間の同期（chrome.storage.sync、任意で ON にする）
+ * 12. ページが使っている制限の検出（scanner.js、activeTab の権限で注入）
+ * 13. ページ内の content.js との通信（relay.js を中継に、無効化した操作の回数をバッジに表示）
  *
  * === Service Worker とは？ ===
  * Manifest V3 では、バックグラウンドページの代わりに Service Worker を使う。
@@ -17,28 +25,390 @@
  * そのため、状態はメモリではなく chrome.storage に保存する必要がある。
  */
 
+// 解除機能の一覧（FEATURES）と既定値（DEFAULT_SETTINGS）、
+// ルール（オリジン・マッチパターン）のヘルパー関数を読み込む
+importScripts("features.js", "rules.js");
+
 // =====================================================
 // 1. ストレージのヘルパー関数
 // =====================================================
 
 /**
- * 有効化されたオリジンのリストを取得する。
+ * @typedef {Object} SiteRecord
+ * @property {string} origin - オリジン（"https://example.com"）
+ * @property {number} addedAt - 追加した時刻
+ * @property {number|null} lastInjectedAt - 最後に自動で解除した時刻
+ * @property {number} injectionCount - 自動で解除した回数
+ * @property {string} note - メモ
+ */
+
+// enabledOrigins の書き込みを1つずつ順番に行うためのキュー
+// （ページを開くたびに解除の記録を更新するため、サイトの追加・削除と重ならないようにする）
+let siteRecordsQueue = Promise.resolve();
+
+/**
+ * 許可済みサイトのレコードを作る。
+ * 以前のバージョンの文字列（オリジンだけ）も受け付け、不足する項目を補う。
+ *
+ * @param {string|Object} entry - オリジン、または保存済みのレコード
+ * @returns {SiteRecord}
+ */
+function toSiteRecord(entry) {
+    const record = typeof entry === "string" ? { origin: entry } : entry;
+    return {
+        origin: record.origin,
+        addedAt: record.addedAt ?? Date.now(),
+        lastInjectedAt: record.lastInjectedAt ?? null,
+        injectionCount: record.injectionCount ?? 0,
+        note: record.note ?? "",
+    };
+}
+
+/**
+ * 許可済みサイトのレコードの一覧を取得する。
  * chrome.storage.local はキーバリュー形式のストレージで、
  * 拡張機能のローカルデータを永続的に保存できる。
  *
+ * @returns {Promise<SiteRecord[]>}
+ */
+async function getSiteRecords() {
+    const result = await chrome.storage.local.get({ enabledOrigins: [] });
+    return result.enabledOrigins.map(toSiteRecord);
+}
+
+/**
+ * 許可済みサイトのレコードを書き換える。
+ * 書き込みはキューで順番に行い、毎回最新のレコードを読み直してから mutate を呼ぶ。
+ *
+ * @param {function(SiteRecord[]): SiteRecord[]} mutate - 新しいレコードの一覧を返す関数
+ * @returns {Promise<void>}
+ */
+function updateSiteRecords(mutate) {
+    // 前の書き込みが失敗しても、以降の書き込みは続ける（失敗は呼び出し元に返す）
+    const update = siteRecordsQueue.catch(() => {}).then(async () => {
+        const records = mutate(await getSiteRecords());
+        await chrome.storage.local.set({ enabledOrigins: records });
+    });
+    siteRecordsQueue = update;
+    return update;
+}
+
+/**
+ * 有効化されたオリジンのリストを取得する。
  * @returns {Promise<string[]>} 有効化されたオリジンの配列
  */
 async function getEnabledOrigins() {
+    return (await getSiteRecords()).map((record) => record.origin);
+}
+
+/**
+ * ルール（オリジン・パターン）を有効化済みの一覧に加える。
+ * 読み込みから書き込みまでをキューの中で行うので、権限付与時の自動有効化（8）や
+ * インポートと同時に書き込んでも、互いのルールや解除の記録を消さない。
+ *
+ * @param {string[]} rules - オリジンまたはパターンの配列
+ */
+async function addEnabledRules(rules) {
+    const origins = rules.filter((rule) => !isValidMatchPattern(rule));
+    const patterns = rules.filter((rule) => isValidMatchPattern(rule));
+
+    if (origins.length > 0) {
+        await updateSiteRecords((records) => [
+            ...records,
+            ...origins
+                .filter((origin, i) => origins.indexOf(origin) === i)
+                .filter((origin) => !records.some((record) => record.origin === origin))
+                .map(toSiteRecord),
+        ]);
+    }
+    if (patterns.length > 0) {
+        await updateEnabledPatterns((current) => [...new Set([...current, ...patterns])]);
+    }
+}
+
+/**
+ * ルール（オリジン・パターン）を有効化済みの一覧から外す。
+ * @param {string} rule - オリジンまたはパターン
+ */
+async function removeEnabledRule(rule) {
+    if (isValidMatchPattern(rule)) {
+        await updateEnabledPatterns((patterns) => patterns.filter((p) => p !== rule));
+    } else {
+        await updateSiteRecords((records) => records.filter((record) => record.origin !== rule));
+    }
+}
+
+/**
+ * 許可済みサイトのメモを変更する。
+ * @param {string} origin - 対象のオリジン
+ * @param {string} note - メモ
+ */
+async function saveSiteNote(origin, note) {
+    await updateSiteRecords((records) =>
+        records.map((record) => (record.origin === origin ? { ...record, note } : record))
+    );
+}
+
+/**
+ * 許可済みサイトを自動で解除したことを記録する（最後に使った日時・回数）。
+ * 個別に許可したオリジンだけが対象で、パターンルール・グローバルモードは記録しない。
+ *
+ * @param {string} origin - 対象のオリジン
+ */
+async function recordInjection(origin) {
+    await updateSiteRecords((records) =>
+        records.map((record) =>
+            record.origin === origin
+                ? { ...record, lastInjectedAt: Date.now(), injectionCount: record.injectionCount + 1 }
+                : record
+        )
+    );
+}
+
+/**
+ * 以前のバージョンの enabledOrigins（オリジンの文字列の配列）をレコードの配列に移行する。
+ * 追加日時は分からないため、移行した時刻にする。
+ */
+async function migrateSiteRecords() {
     const result = await chrome.storage.local.get({ enabledOrigins: [] });
-    return result.enabledOrigins;
+    if (result.enabledOrigins.every((entry) => typeof entry !== "string")) return;
+
+    await updateSiteRecords((records) => records);
+}
+
+/**
+ * storage.onChanged の変更で、有効化されたルール（オリジン・パターン）の顔ぶれが変わったかを判定する。
+ * enabledOrigins は解除の記録やメモの変更でも書き換わるため、オリジンの並びだけを比べる。
+ *
+ * @param {Object} changes - storage.onChanged の changes
+ * @returns {boolean}
+ */
+function haveRulesChanged(changes) {
+    if (changes.enabledPatterns) return true;
+    if (!changes.enabledOrigins) return false;
+
+    const toKey = (entries = []) => entries.map((entry) => toSiteRecord(entry).origin).join("\n");
+    return toKey(changes.enabledOrigins.oldValue) !== toKey(changes.enabledOrigins.newValue);
+}
+
+/**
+ * 有効化されたパターンルールのリストを取得する。
+ * "*://*.example.com/*" のように、複数のオリジンをまとめて有効化するルール。
+ *
+ * @returns {Promise<string[]>} マッチパターンの配列
+ */
+async function getEnabledPatterns() {
+    const result = await chrome.storage.local.get({ enabledPatterns: [] });
+    return result.enabledPatterns;
+}
+
+// enabledPatterns の書き込みを順番に行うためのキュー（updateSiteRecords と同じ理由）
+let enabledPatternsQueue = Promise.resolve();
+
+/**
+ * 有効化されたパターンルールのリストを書き換える。
+ * 書き込みはキューで順番に行い、毎回最新のリストを読み直してから mutate を呼ぶ。
+ *
+ * @param {function(string[]): string[]} mutate - 新しいリストを返す関数
+ * @returns {Promise<void>}
+ */
+function updateEnabledPatterns(mutate) {
+    // 前の書き込みが失敗しても、以降の書き込みは続ける（失敗は呼び出し元に返す）
+    const update = enabledPatternsQueue.catch(() => {}).then(async () => {
+        const patterns = mutate(await getEnabledPatterns());
+        await chrome.storage.local.set({ enabledPatterns: patterns });
+    });
+    enabledPatternsQueue = update;
+    return update;
+}
+
+/**
+ * グローバルモード（すべてのサイトで解除）が ON かどうかを取得する。
+ * @returns {Promise<boolean>}
+ */
+async function getGlobalMode() {
+    const result = await chrome.storage.local.get({ globalMode: false });
+    return result.globalMode;
+}
+
+/**
+ * グローバルモードで解除しないサイト（除外リスト）を取得する。
+ * 要素はオリジンまたはパターン。
+ *
+ * @returns {Promise<string[]>}
+ */
+async function getExcludedSites() {
+    const result = await chrome.storage.local.get({ excludedSites: [] });
+    return result.excludedSites;
+}
+
+/**
+ * 除外リストを保存する。
+ * @param {string[]} sites - オリジンまたはパターンの配列
+ */
+async function saveExcludedSites(sites) {
+    await chrome.storage.local.set({ excludedSites: sites });
+}
+
+/**
+ * URL を除外しているルールを探す（グローバルモード用）。
+ * @param {string} url - URL文字列
+ * @returns {Promise<string|null>} 一致した除外ルール、なければ null
+ */
+async function findExclusion(url) {
+    const sites = await getExcludedSites();
+    return sites.find((site) => matchesRule(url, site)) || null;
+}
+
+/**
+ * URL を有効化しているルールを探す。
+ * 完全一致するオリジンを優先し、なければパターンルールを順に調べる。
+ * どれにも一致せず、グローバルモードが ON で除外リストにもなければ GLOBAL_RULE を返す。
+ *
+ * @param {string} url - URL文字列
+ * @returns {Promise<string|null>} 一致したオリジンまたはパターン、なければ null
+ */
+async function findEnabledRule(url) {
+    const origin = extractOrigin(url);
+    if (!origin) return null;
+
+    const origins = await getEnabledOrigins();
+    if (origins.includes(origin)) return origin;
+
+    const patterns = await getEnabledPatterns();
+    const pattern = patterns.find((p) => matchesPattern(url, p));
+    if (pattern) return pattern;
+
+    if (await getGlobalMode() && !(await findExclusion(url))) return GLOBAL_RULE;
+    return null;
+}
+
+/**
+ * ルールをストレージから削除する（オリジン・パターン・グローバルモードに対応）。
+ * 設定も一緒に削除する。
+ *
+ * @param {string} rule - オリジンまたはパターン
+ */
+async function forgetRule(rule) {
+    if (rule === GLOBAL_RULE) {
+        await chrome.storage.local.set({ globalMode: false });
+    } else {
+        await removeEnabledRule(rule);
+    }
+    await removeSiteSettings([rule]);
+    await setRuleExpiry(rule, null);
+}
+
+/**
+ * 期限付きで有効化したルールの期限を取得する。
+ * 期限は { "https://example.com": 1700000000000, ... }（期限切れになる時刻）の形式で
+ * expirations キーに保存している。期限のないルールは含まれない。
+ *
+ * @returns {Promise<Object<string, number>>}
+ */
+async function getExpirations() {
+    const result = await chrome.storage.local.get({ expirations: {} });
+    return result.expirations;
+}
+
+/**
+ * ルールの期限を設定し、期限が来たら無効化するアラームを登録する。
+ * ブラウザの再起動後も期限を守れるように、期限そのものは storage.local に残す。
+ *
+ * @param {string} rule - オリジンまたはパターン
+ * @param {number|null} expiresAt - 期限切れになる時刻（null なら期限をなくす）
+ */
+async function setRuleExpiry(rule, expiresAt) {
+    const expirations = await getExpirations();
+    const alarmName = EXPIRY_ALARM_PREFIX + rule;
+
+    if (expiresAt === null) {
+        if (!(rule in expirations)) return;
+        delete expirations[rule];
+        await chrome.alarms.clear(alarmName);
+    } else {
+        expirations[rule] = expiresAt;
+        await chrome.alarms.create(alarmName, { when: expiresAt });
+    }
+    await chrome.storage.local.set({ expirations });
+}
+
+/**
+ * ルールごとの解除機能の設定を取得する。
+ * 設定は { "https://example.com": { rightClick: true, ... } } の形式で
+ * enabledOrigins とは別のキー（siteSettings）に保存している。
+ * キーはオリジンまたはパターン。未保存のルールや不足するキーは既定値で補完する。
+ *
+ * @param {string} rule - オリジンまたはパターン
+ * @returns {Promise<Object>} 設定オブジェクト
+ */
+async function getSiteSettings(rule) {
+    const result = await chrome.storage.local.get({ siteSettings: {} });
+    return normalizeSettings(result.siteSettings[rule]);
+}
+
+/**
+ * ルールごとの解除機能の設定を保存する。
+ * @param {string} rule - オリジンまたはパターン
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {Promise<Object>} 保存した（補完済みの）設定
+ */
+async function saveSiteSettings(rule, settings) {
+    const result = await chrome.storage.local.get({ siteSettings: {} });
+    const normalized = normalizeSettings(settings);
+    result.siteSettings[rule] = normalized;
+    await chrome.storage.local.set({ siteSettings: result.siteSettings });
+    return normalized;
+}
+
+/**
+ * ルールの設定を削除する（サイトの許可を取り消した時に呼ぶ）。
+ * @param {string[]} rules - 削除するオリジン・パターンの配列
+ */
+async function removeSiteSettings(rules) {
+    const result = await chrome.storage.local.get({ siteSettings: {} });
+    for (const rule of rules) {
+        delete result.siteSettings[rule];
+    }
+    await chrome.storage.local.set({ siteSettings: result.siteSettings });
+}
+
+/**
+ * キーボード機能で保護するショートカットの一覧を取得する。
+ * サイトごとではなく全体で1つの設定（keyboardCombos）。
+ *
+ * @returns {Promise<string[]>} 正規化済みのショートカットの配列
+ */
+async function getKeyboardCombos() {
+    const result = await chrome.storage.local.get({ keyboardCombos: DEFAULT_KEYBOARD_COMBOS });
+    return result.keyboardCombos;
+}
+
+/**
+ * キーボード機能で保護するショートカットの一覧を保存する。
+ * 形式の正しくないものは捨て、重複は1つにまとめる。
+ *
+ * @param {string[]} combos - ショートカットの配列
+ * @returns {Promise<string[]>} 保存した（正規化済みの）配列
+ */
+async function saveKeyboardCombos(combos) {
+    const normalized = [...new Set(combos.map(normalizeKeyCombo).filter(Boolean))];
+    await chrome.storage.local.set({ keyboardCombos: normalized });
+    return normalized;
 }
 
 /**
- * 有効化されたオリジンのリストを保存する。
- * @param {string[]} origins - オリジンの配列
+ * Content Script に渡す設定を組み立てる。
+ * ルールごとの解除機能の設定に、全体共通の設定（保護するショートカット）を加える。
+ *
+ * @param {string} rule - オリジンまたはパターン
+ * @returns {Promise<Object>} Content Script 用の設定オブジェクト
  */
-async function saveEnabledOrigins(origins) {
-    await chrome.storage.local.set({ enabledOrigins: origins });
+async function getContentSettings(rule) {
+    return {
+        ...(await getSiteSettings(rule)),
+        keyboardCombos: await getKeyboardCombos(),
+    };
 }
 
 /**
@@ -63,6 +433,29 @@ function extractOrigin(url) {
     return null;
 }
 
+/**
+ * 文字列がルールとして保存できる形式か判定する。
+ * オリジン（"https://example.com"）かマッチパターンのどちらかであること。
+ *
+ * @param {string} rule - 判定する文字列
+ * @returns {boolean}
+ */
+function isValidRule(rule) {
+    return isValidMatchPattern(rule) || (typeof rule === "string" && extractOrigin(rule) === rule);
+}
+
+/**
+ * ルールに対応するホスト権限を取り消す。
+ * @param {string} rule - オリジンまたはパターン
+ */
+async function revokePermission(rule) {
+    try {
+        await chrome.permissions.remove({ origins: [toPermissionPattern(rule)] });
+    } catch {
+        // 権限がすでに取り消されている場合
+    }
+}
+
 // =====================================================
 // 2. Content Script の注入
 // =====================================================
@@ -82,364 +475,2414 @@ function extractOrigin(url) {
  * DOM は共有するが、グローバルオブジェクト（window, EventTarget 等）は別物。
  *
  * 本拡張では EventTarget.prototype.addEventListener をオーバーライドして、
- * ページ側のスクリプトが contextmenu イベントを登録するのをブロックする。
+ * ページ側のスクリプトが登録する contextmenu 等のリスナーを包み、
+ * その中での preventDefault() を無効化する。
  * これはページ側の EventTarget.prototype を書き換える必要があるため、
  * "MAIN" ワールド（ページと同じ実行環境）で注入する必要がある。
  *
+ * 【設定の受け渡し】
+ * files で注入するスクリプトには引数を渡せないため、先に func で
+ * window.__enableRightClickSettings に設定を書き込んでから content.js を注入する。
+ * content.js はこの設定を読んで、ON になっている機能だけを組み込む。
+ *
  * @param {number} tabId - 注入先のタブID
+ * @param {Object} settings - サイトの解除機能の設定
+ * @param {number} [frameId=0] - 注入先のフレームID（省略時はメインフレーム）
+ * @returns {Promise<boolean>} 注入できたかどうか
  */
-async function injectContentScript(tabId) {
+async function injectContentScript(tabId, settings, frameId = 0) {
     try {
         await chrome.scripting.executeScript({
-            target: { tabId: tabId },
+            target: { tabId: tabId, frameIds: [frameId] },
+            func: (settings) => {
+                window.__enableRightClickSettings = settings;
+            },
+            args: [settings],
+            world: "MAIN",
+        });
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId, frameIds: [frameId] },
             files: ["content.js"],
             world: "MAIN", // ページと同じコンテキストで実行（必須）
         });
+        await connectBridge(tabId, frameId);
+        return true;
     } catch (error) {
         // タブが既に閉じられている場合、chrome:// ページの場合など
         console.warn("[EnableRightClick] スクリプト注入に失敗:", error.message);
+        return false;
     }
 }
 
-// =====================================================
-// 3. アイコンバッジの更新
-// =====================================================
-
 /**
- * ツールバーのアイコンにバッジテキストを表示する。
- * ON: 緑の "ON" / OFF: バッジなし
+ * フレームの実効 URL を求める。
  *
- * @param {number} tabId - 対象タブID
- * @param {boolean} isEnabled - 有効かどうか
+ * about:blank や about:srcdoc のフレームは自身のオリジンを持たず、
+ * 作成元（親フレーム）のオリジンを引き継ぐ。そのため親をたどって
+ * 最初に見つかった通常の URL をそのフレームの URL として扱う。
+ * （content_scripts の match_origin_as_fallback と同じ考え方）
+ *
+ * @param {Object} frame - webNavigation.getAllFrames() のフレーム情報
+ * @param {Object[]} frames - 同じタブのすべてのフレーム情報
+ * @returns {string|null} 実効 URL、または null
  */
-async function updateBadge(tabId, isEnabled) {
-    await chrome.action.setBadgeText({
-        text: isEnabled ? "ON" : "",
-        tabId: tabId,
-    });
-    if (isEnabled) {
-        await chrome.action.setBadgeBackgroundColor({
-            color: "#4CAF50", // マテリアルデザインの緑
-            tabId: tabId,
-        });
-        await chrome.action.setBadgeTextColor({
-            color: "#FFFFFF",
-            tabId: tabId,
-        });
+function resolveFrameUrl(frame, frames) {
+    let current = frame;
+    while (current && current.url.startsWith("about:")) {
+        current = frames.find((f) => f.frameId === current.parentFrameId);
     }
+    return current?.url ?? null;
 }
 
-// =====================================================
-// 4. オリジンの有効化・無効化
-// =====================================================
-
 /**
- * オリジンを有効化する。
+ * 指定したフレームに、それぞれのフレーム自身のルールと設定で注入する。
  *
- * 処理の流れ:
- * 1. chrome.permissions.request() でそのオリジンの権限を動的に取得
- *    → Chromeがユーザーに確認ダイアログを表示
- * 2. 許可されたら、オリジンをストレージに保存
- * 3. Content Script を注入
- * 4. バッジを更新
+ * クロスオリジンの iframe はメインフレームとは別のオリジンなので、
+ * メインフレームが有効かどうかではなく、フレームの URL に一致するルールと
+ * そのルールの権限があるかどうかで注入を判断する。
  *
- * @param {number} tabId - 対象タブID
- * @param {string} origin - 有効化するオリジン
- * @returns {Promise<boolean>} 成功したかどうか
+ * @param {number} tabId - 対象のタブID
+ * @param {Object[]} targets - 注入候補のフレーム情報
+ * @param {Object[]} frames - 同じタブのすべてのフレーム情報（親をたどるため）
  */
-async function enableOrigin(tabId, origin) {
-    // オリジンに対応するマッチパターンを生成
-    // "https://example.com" → "https://example.com/*"
-    const pattern = origin + "/*";
+async function injectIntoFrames(tabId, targets, frames) {
+    for (const frame of targets) {
+        const url = resolveFrameUrl(frame, frames);
+        const rule = url && (await findEnabledRule(url));
+        if (!rule) continue;
 
-    // 権限はポップアップ側で既に取得済み（ユーザージェスチャーコンテキストが必要なため）
-    // 念のため権限が有効か確認する
-    const hasPermission = await chrome.permissions.contains({
-        origins: [pattern],
-    });
+        const hasPermission = await chrome.permissions.contains({
+            origins: [toPermissionPattern(rule)],
+        });
+        if (!hasPermission) continue;
 
-    if (!hasPermission) {
-        // 権限がない場合（通常は発生しない）
-        return false;
+        await injectContentScript(tabId, await getContentSettings(rule), frame.frameId);
     }
+}
 
-    // ストレージに保存
-    const origins = await getEnabledOrigins();
-    if (!origins.includes(origin)) {
-        origins.push(origin);
-        await saveEnabledOrigins(origins);
+/**
+ * タブ内のすべてのフレーム（iframe、about:blank、srcdoc を含む）に注入する。
+ * @param {number} tabId - 対象のタブID
+ */
+async function injectIntoTab(tabId) {
+    let frames;
+    try {
+        frames = await chrome.webNavigation.getAllFrames({ tabId: tabId });
+    } catch {
+        // タブが既に閉じられている場合
+        return;
     }
+    if (!frames) return;
 
-    // Content Script を注入
-    await injectContentScript(tabId);
-
-    // バッジを更新
-    await updateBadge(tabId, true);
+    await injectIntoFrames(tabId, frames, frames);
+}
 
-    return true;
+/**
+ * フレームに設定だけを届ける。
+ *
+ * document_start で登録した Content Script（syncRegisteredScripts）には
+ * 引数を渡せないため、ナビゲーションが確定した直後に設定を書き込む。
+ * injectImmediately を指定して、ページの読み込みを待たずに実行する。
+ * content.js がまだ動いていなければ起動時に window.__enableRightClickSettings を読み、
+ * すでに動いていれば configure() で反映する。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 対象のフレームID
+ * @param {Object} settings - サイトの解除機能の設定
+ */
+async function deliverSettings(tabId, frameId, settings) {
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId, frameIds: [frameId] },
+            func: (settings) => {
+                window.__enableRightClickSettings = settings;
+                window.__enableRightClick?.configure(settings);
+            },
+            args: [settings],
+            world: "MAIN",
+            injectImmediately: true,
+        });
+    } catch {
+        // フレームが既に破棄されている場合など
+        return;
+    }
+    await connectBridge(tabId, frameId);
 }
 
 /**
- * オリジンを無効化する。
+ * フレームの content.js と relay.js（ISOLATED ワールド）をつなぐ。
  *
- * 処理の流れ:
- * 1. ストレージからオリジンを削除
- * 2. chrome.permissions.remove() で権限を取り消し
- * 3. タブをリロードして Content Script の効果を解除
- * 4. バッジを更新
+ * MAIN ワールドの content.js は chrome.runtime を使えないため、
+ * 同じフレームに relay.js を注入して中継させる。
+ * relay.js は content.js に MessagePort を渡し、以降はページから見えないポートでやり取りする。
+ * content.js がまだ動いていなければ、起動時の通知を受けて relay.js がポートを渡し直す。
  *
- * 【なぜリロードが必要なのか？】
- * 一度注入された Content Script は、addEventListener のオーバーライドなど
- * ページのグローバルな状態を変更している。これを元に戻すには
- * ページのリロードが最も確実な方法。
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 対象のフレームID
+ */
+async function connectBridge(tabId, frameId) {
+    const target = { tabId: tabId, frameIds: [frameId] };
+    try {
+        await chrome.scripting.executeScript({
+            target: target,
+            files: ["relay.js"],
+            injectImmediately: true,
+        });
+        await chrome.scripting.executeScript({
+            target: target,
+            func: () => {
+                globalThis.__enableRightClickRelay.connect();
+            },
+            injectImmediately: true,
+        });
+    } catch {
+        // フレームが既に破棄されている場合など
+    }
+}
+
+/**
+ * relay.js を経由して、フレームの content.js にメッセージを届ける。
  *
- * @param {number} tabId - 対象タブID
- * @param {string} origin - 無効化するオリジン
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 対象のフレームID
+ * @param {Object} payload - content.js に届けるメッセージ（{ type: "configure", settings } 等）
+ * @returns {Promise<boolean>} 届けられたかどうか（relay.js がない・未接続なら false）
  */
-async function disableOrigin(tabId, origin) {
-    // ストレージからオリジンを削除
-    const origins = await getEnabledOrigins();
-    const updated = origins.filter((o) => o !== origin);
-    await saveEnabledOrigins(updated);
+async function postToFrame(tabId, frameId, payload) {
+    try {
+        return (await chrome.tabs.sendMessage(tabId, { type: "bridge", payload }, { frameId })) === true;
+    } catch {
+        return false;
+    }
+}
 
-    // 権限を取り消し
-    const pattern = origin + "/*";
+/**
+ * タブ内でルールに一致するフレームに、新しい設定を届ける。
+ * 接続済みのフレームには relay.js 経由で届け、届かなかったフレームには注入し直す
+ * （content.js を再注入すると、二重実行防止の代わりに configure() が呼ばれる）。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {string} rule - 対象のオリジンまたはパターン
+ * @param {Object} settings - ルールの解除機能の設定
+ */
+async function configureFrames(tabId, rule, settings) {
+    let frames;
     try {
-        await chrome.permissions.remove({ origins: [pattern] });
+        frames = await chrome.webNavigation.getAllFrames({ tabId: tabId });
     } catch {
-        // 権限がすでに取り消されている場合
+        return;
     }
+    if (!frames) return;
 
-    // バッジを更新
-    await updateBadge(tabId, false);
+    for (const frame of frames) {
+        const url = resolveFrameUrl(frame, frames);
+        if (!url || (await findEnabledRule(url)) !== rule) continue;
 
-    // タブをリロードして元に戻す
-    await chrome.tabs.reload(tabId);
+        const delivered = await postToFrame(tabId, frame.frameId, { type: "configure", settings });
+        if (!delivered) await injectContentScript(tabId, settings, frame.frameId);
+    }
+}
+
+/**
+ * 指定タブで解除を元に戻す。
+ * content.js が公開している window.__enableRightClick.teardown() を
+ * すべてのフレームで呼び、書き換えたプロトタイプ・リスナー・CSS・救出用画像を片付ける。
+ * 未注入のフレームでは何もしない。
+ *
+ * @param {number} tabId - 対象のタブID
+ */
+async function removeContentScript(tabId) {
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
+            func: () => {
+                window.__enableRightClick?.teardown();
+            },
+            world: "MAIN",
+        });
+    } catch (error) {
+        console.warn("[EnableRightClick] 解除の取り消しに失敗:", error.message);
+    }
+    // 注入し直した content.js は 0 から数え直す
+    await forgetBlockedActions(tabId);
+}
+
+/**
+ * タブの解除状態を現在のルールと設定に合わせ直す。
+ * いったん全フレームで teardown してから、ルールに一致するフレームに注入し直す。
+ * ルールの削除や設定変更の後に呼ぶ。
+ *
+ * @param {chrome.tabs.Tab} tab - 対象のタブ
+ */
+async function refreshTab(tab) {
+    await removeContentScript(tab.id);
+    await injectIntoTab(tab.id);
+
+    const rule = await findEnabledRule(tab.url);
+    await updateBadge(tab.id, !!rule);
+}
+
+/**
+ * タブ内の各フレームの URL と解除状態を取得する（ポップアップ表示用）。
+ *
+ * 各フレームで content.js の注入フラグを確認する。
+ * 権限がなくスクリプトを実行できないフレームは結果に含まれないため、未解除として扱う。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<Object[]>} { frameId, url, origin, unlocked } の配列
+ */
+async function getFrameStatus(tabId) {
+    let frames;
+    try {
+        frames = await chrome.webNavigation.getAllFrames({ tabId: tabId });
+    } catch {
+        return [];
+    }
+    if (!frames) return [];
+
+    const unlocked = new Set();
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
+            func: () => !!window.__enableRightClickInjected,
+            world: "MAIN",
+        });
+        for (const result of results) {
+            if (result.result) unlocked.add(result.frameId);
+        }
+    } catch {
+        // メインフレームに権限がない場合など
+    }
+
+    return frames
+        .sort((a, b) => a.frameId - b.frameId)
+        .map((frame) => ({
+            frameId: frame.frameId,
+            url: frame.url,
+            // about:blank 等は親から引き継いだオリジン
+            origin: extractOrigin(resolveFrameUrl(frame, frames) ?? ""),
+            unlocked: unlocked.has(frame.frameId),
+        }));
+}
+
+/**
+ * タブ内の各フレームの Content Script から記録を集める。
+ * window.__enableRightClick のメソッドを呼び、返った配列の各要素に frameId を付けてまとめる。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {string} method - 呼び出すメソッド名（"getOverlayReport" 等）
+ * @returns {Promise<Object[]>} 各フレームの結果をまとめた配列
+ */
+async function collectFromFrames(tabId, method) {
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
+            func: (name) => window.__enableRightClick?.[name]?.() ?? [],
+            args: [method],
+            world: "MAIN",
+        });
+        return results.flatMap((result) =>
+            (result.result || []).map((entry) => ({ ...entry, frameId: result.frameId }))
+        );
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * タブ内でオーバーレイ回避が無効化した要素の記録を集める。
+ * ポップアップの「無効化したオーバーレイ」の表示に使う。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<Object[]>} { frameId, element, size, score, reasons, time } の配列（新しい順）
+ */
+async function getOverlayReport(tabId) {
+    const overlays = await collectFromFrames(tabId, "getOverlayReport");
+    return overlays.sort((a, b) => b.time - a.time);
+}
+
+/**
+ * タブ内で最後に右クリックした位置の画像の候補を取得する。
+ * 候補はフレームごとに記録されるため、最も新しい右クリックのものだけを返す。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<Object[]>} { frameId, url, kind, element, best, time } の配列（良い順）
+ */
+async function getImageCandidates(tabId) {
+    const candidates = await collectFromFrames(tabId, "getImageCandidates");
+    const latest = Math.max(0, ...candidates.map((candidate) => candidate.time));
+    return candidates.filter((candidate) => candidate.time === latest);
+}
+
+/**
+ * タブ内の動画・音声のソースを集める。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<Object[]>} { frameId, kind, element, url, streaming } の配列
+ */
+async function getMediaSources(tabId) {
+    return collectFromFrames(tabId, "getMediaSources");
+}
+
+/**
+ * タブのページが使っている制限を検出する（メインフレームのみ）。
+ * scanner.js はページを読むだけなので、サイトを許可していなくても
+ * ポップアップを開いた時の activeTab の権限で実行できる。
+ * 解除済みのページでは、Content Script が無効化した数（getStats）も合わせて返す。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<{scan: Object|null, stats: Object|null}>}
+ */
+async function scanPage(tabId) {
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ["scanner.js"],
+            world: "MAIN",
+        });
+        const stats = await callContentScript(tabId, 0, "getStats");
+        return { scan: result?.result ?? null, stats: stats };
+    } catch (error) {
+        // chrome:// などのスクリプトを実行できないページ
+        console.warn("[EnableRightClick] 制限の検出に失敗:", error.message);
+        return { scan: null, stats: null };
+    }
+}
+
+// =====================================================
+// 2-2. document_start での Content Script の登録
+// =====================================================
+// tabs.onUpdated の "complete" を待ってから注入すると、ページのスクリプトが
+// 読み込み中に preventDefault を控えたり、リスナーを登録したり、
+// 選択を解除したりした後になってしまう。
+// 有効化済みのルールには chrome.scripting.registerContentScripts で
+// content.js を登録しておき、document_start に MAIN ワールドで実行させる。
+// 登録は persistAcrossSessions によりブラウザの再起動後も残る。
+// 登録した content.js は設定を受け取れないため、既定で OFF の開発者ツールの妨害を
+// ON にしたルールは別に登録し、先に devtools.js で ON を書き込んでおく（content.js の 2-7 を参照）。
+
+/** 登録する Content Script の ID */
+const REGISTERED_SCRIPT_IDS = {
+    // パスが "/*" のルール（about:blank 等のフレームにも親のオリジンで一致させる）
+    origins: "enable-right-click",
+    // "https://example.com/docs/*" のようにパスを限定したルール
+    // （matchOriginAsFallback はパスが "/*" のパターンにしか使えないため分ける）
+    paths: "enable-right-click-paths",
+    // グローバルモード（個別のルールと除外リストのサイトを除くすべてのページ）
+    global: "enable-right-click-global",
+    // 開発者ツールの妨害を ON にしたルール（origins・paths と同じ分け方）
+    devtoolsOrigins: "enable-right-click-devtools",
+    devtoolsPaths: "enable-right-click-devtools-paths",
+};
+
+/**
+ * 登録する Content Script のファイルを返す。
+ * @param {boolean} antiDevtools - 開発者ツールの妨害を ON にしたルールか
+ * @returns {string[]}
+ */
+function getRegisteredFiles(antiDevtools) {
+    return antiDevtools ? ["devtools.js", "content.js"] : ["content.js"];
+}
+
+// 登録の更新が重なると ID の重複エラーになるため、順番に実行する
+let registrationQueue = Promise.resolve();
+
+/**
+ * 登録済みの Content Script を、有効化済みのルールと権限に合わせて更新する。
+ * ルールの追加・削除（storage.onChanged）や権限の変更のたびに呼ぶ。
+ *
+ * @returns {Promise<void>}
+ */
+function syncRegisteredScripts() {
+    registrationQueue = registrationQueue.then(updateRegisteredScripts);
+    return registrationQueue;
+}
+
+async function updateRegisteredScripts() {
+    try {
+        // 権限がまだ有効なルールだけを、パスの種類と開発者ツールの妨害の ON/OFF ごとに分けて登録する
+        const rules = [...(await getEnabledOrigins()), ...(await getEnabledPatterns())];
+        const groups = {
+            origins: [],
+            paths: [],
+            devtoolsOrigins: [],
+            devtoolsPaths: [],
+        };
+        for (const rule of rules) {
+            const pattern = toPermissionPattern(rule);
+            const hasPermission = await chrome.permissions.contains({ origins: [pattern] });
+            if (!hasPermission) continue;
+
+            const isOriginPattern = /^[^:]+:\/\/[^/]+\/\*$/.test(pattern);
+            if ((await getSiteSettings(rule)).antiDevtools) {
+                groups[isOriginPattern ? "devtoolsOrigins" : "devtoolsPaths"].push(pattern);
+            } else {
+                groups[isOriginPattern ? "origins" : "paths"].push(pattern);
+            }
+        }
+
+        // いったんすべて解除してから登録し直す
+        const registered = await chrome.scripting.getRegisteredContentScripts({
+            ids: Object.values(REGISTERED_SCRIPT_IDS),
+        });
+        if (registered.length > 0) {
+            await chrome.scripting.unregisterContentScripts({
+                ids: registered.map((script) => script.id),
+            });
+        }
+
+        const scripts = [];
+        for (const [group, patterns] of Object.entries(groups)) {
+            if (patterns.length === 0) continue;
+            const script = {
+                id: REGISTERED_SCRIPT_IDS[group],
+                matches: patterns,
+                js: getRegisteredFiles(group.startsWith("devtools")),
+            };
+            // パスが "/*" のルールだけ、about:blank 等のフレームにも一致させる
+            if (group === "origins" || group === "devtoolsOrigins") {
+                script.matchOriginAsFallback = true;
+            }
+            scripts.push(script);
+        }
+
+        // 個別のルールに一致するページはそちらの登録で動くため、二重に動かないよう除く
+        const hasGlobalPermission = await chrome.permissions.contains({ origins: [GLOBAL_RULE] });
+        if (hasGlobalPermission && (await getGlobalMode())) {
+            const excluded = (await getExcludedSites()).map(toPermissionPattern);
+            scripts.push({
+                id: REGISTERED_SCRIPT_IDS.global,
+                matches: ["http://*/*", "https://*/*"],
+                excludeMatches: [...Object.values(groups).flat(), ...excluded],
+                js: getRegisteredFiles((await getSiteSettings(GLOBAL_RULE)).antiDevtools),
+                matchOriginAsFallback: true,
+            });
+        }
+        if (scripts.length === 0) return;
+
+        await chrome.scripting.registerContentScripts(
+            scripts.map((script) => ({
+                ...script,
+                runAt: "document_start",
+                world: "MAIN",
+                allFrames: true,
+                persistAcrossSessions: true,
+            }))
+        );
+    } catch (error) {
+        console.error("[EnableRightClick] Content Script の登録に失敗:", error);
+    }
+}
+
+// =====================================================
+// 3. アイコンバッジの更新
+// =====================================================
+
+/**
+ * ツールバーのアイコンにバッジテキストを表示する。
+ * ON: 緑のバッジに、タブで無効化したページの操作の回数（まだなければ "ON"）/ OFF: バッジなし
+ *
+ * @param {number} tabId - 対象タブID
+ * @param {boolean} isEnabled - 有効かどうか
+ */
+async function updateBadge(tabId, isEnabled) {
+    await chrome.action.setBadgeText({
+        text: isEnabled ? formatBadgeCount(await getBlockedActions(tabId)) : "",
+        tabId: tabId,
+    });
+    if (isEnabled) {
+        await chrome.action.setBadgeBackgroundColor({
+            color: "#4CAF50", // マテリアルデザインの緑
+            tabId: tabId,
+        });
+        await chrome.action.setBadgeTextColor({
+            color: "#FFFFFF",
+            tabId: tabId,
+        });
+    }
+}
+
+/**
+ * 無効化した操作の回数をバッジの文字列にする（バッジには4文字程度しか表示できない）。
+ *
+ * @param {number} count - 回数
+ * @returns {string} "ON"・"42"・"999+" など
+ */
+function formatBadgeCount(count) {
+    if (count <= 0) return "ON";
+    return count > 999 ? "999+" : String(count);
+}
+
+// =====================================================
+// 4. オリジン・パターンルールの有効化・無効化
+// =====================================================
+
+/**
+ * オリジンを有効化する。
+ *
+ * 処理の流れ:
+ * 1. chrome.permissions.request() でそのオリジンの権限を動的に取得
+ *    → Chromeがユーザーに確認ダイアログを表示
+ * 2. 許可されたら、オリジンをストレージに保存
+ * 3. Content Script を注入
+ * 4. バッジを更新
+ *
+ * @param {number} tabId - 対象タブID
+ * @param {string} origin - 有効化するオリジン
+ * @returns {Promise<boolean>} 成功したかどうか
+ */
+async function enableOrigin(tabId, origin) {
+    // オリジンに対応するマッチパターンを生成
+    // "https://example.com" → "https://example.com/*"
+    const pattern = origin + "/*";
+
+    // 権限はポップアップ側で既に取得済み（ユーザージェスチャーコンテキストが必要なため）
+    // 念のため権限が有効か確認する
+    const hasPermission = await chrome.permissions.contains({
+        origins: [pattern],
+    });
+
+    if (!hasPermission) {
+        // 権限がない場合（通常は発生しない）
+        return false;
+    }
+
+    // ストレージに保存
+    await addEnabledRules([origin]);
+
+    // Content Script を注入（同じオリジンの iframe にも注入される）
+    await injectIntoTab(tabId);
+
+    // バッジを更新
+    await updateBadge(tabId, true);
+
+    return true;
+}
+
+/**
+ * パターンルールを有効化する。
+ *
+ * enableOrigin と同じく権限はポップアップ側で取得済みの前提。
+ * パターンは複数のオリジンにまたがるため、一致するすべてのタブに注入する。
+ *
+ * @param {string} pattern - 有効化するマッチパターン
+ * @returns {Promise<boolean>} 成功したかどうか
+ */
+async function enablePattern(pattern) {
+    const hasPermission = await chrome.permissions.contains({
+        origins: [pattern],
+    });
+
+    if (!hasPermission) {
+        return false;
+    }
+
+    // ストレージに保存
+    await addEnabledRules([pattern]);
+
+    // 一致するタブすべてに Content Script を注入
+    const tabs = await chrome.tabs.query({ url: pattern });
+    for (const tab of tabs) {
+        await injectIntoTab(tab.id);
+        await updateBadge(tab.id, true);
+    }
+
+    return true;
+}
+
+/**
+ * ルール（オリジン・パターン）を無効化する。
+ *
+ * 処理の流れ:
+ * 1. ルールに一致するタブを取得
+ * 2. ストレージからルールと設定を削除
+ * 3. 各タブで Content Script の teardown を呼び、リロードせずに解除を元に戻す
+ *    （別のルールでまだ有効なタブは、そのルールの設定で注入し直す）
+ * 4. chrome.permissions.remove() で権限を取り消し
+ *
+ * 【なぜ権限の取り消しが最後なのか？】
+ * 権限を取り消すと、そのタブを URL で検索することも、
+ * teardown を実行するスクリプトを注入することもできなくなるため。
+ *
+ * @param {string} rule - 無効化するオリジンまたはパターン
+ */
+async function disableRule(rule) {
+    const tabs = await chrome.tabs.query({ url: toPermissionPattern(rule) });
+
+    await forgetRule(rule);
+
+    for (const tab of tabs) {
+        await refreshTab(tab);
+    }
+
+    await revokePermission(rule);
+}
+
+/**
+ * タブのオリジンを有効化する（ポップアップのトグル・キーボードショートカットから呼ぶ）。
+ * 権限は呼び出し側で取得しておく必要がある。
+ * duration を指定すると期限付きの有効化になり、期限が来ると自動で無効化される。
+ * 指定しない場合は、期限付きで有効化済みのサイトも無期限に切り替わる。
+ *
+ * @param {chrome.tabs.Tab|undefined} tab - 対象のタブ
+ * @param {number} [duration] - 有効にしておく時間（ミリ秒）
+ * @returns {Promise<{success: boolean, enabled?: boolean}>}
+ */
+async function enableTab(tab, duration) {
+    const origin = tab?.id && tab.url ? extractOrigin(tab.url) : null;
+    if (!origin) return { success: false };
+
+    const success = await enableOrigin(tab.id, origin);
+    if (success) {
+        await setRuleExpiry(origin, duration > 0 ? Date.now() + duration : null);
+    }
+    return { success, enabled: success };
+}
+
+/**
+ * タブのサイトを無効化する（ポップアップのトグル・キーボードショートカットから呼ぶ）。
+ * パターンルールで有効化されている場合はルールごと無効化する。
+ * グローバルモードで解除されている場合は、サイトを除外リストに加える。
+ *
+ * @param {chrome.tabs.Tab|undefined} tab - 対象のタブ
+ * @returns {Promise<{success: boolean, enabled?: boolean}>}
+ */
+async function disableTab(tab) {
+    const origin = tab?.id && tab.url ? extractOrigin(tab.url) : null;
+    if (!origin) return { success: false };
+
+    // 今回限りの解除も元に戻るので、ポップアップに「このタブだけ解除中」と出ないよう記録を消す
+    await forgetUnlockedOnce(tab.id);
+
+    const rule = await findEnabledRule(tab.url);
+    if (rule === GLOBAL_RULE) {
+        await excludeSite(origin);
+    } else {
+        await disableRule(rule || origin);
+    }
+    return { success: true, enabled: !!(await findEnabledRule(tab.url)) };
+}
+
+/**
+ * グローバルモードを ON にする。
+ * "<all_urls>" の権限はオプションページ側で取得済みの前提。
+ * 開いているすべてのタブのうち、除外リストにないページを解除する。
+ *
+ * @returns {Promise<boolean>} 成功したかどうか
+ */
+async function enableGlobalMode() {
+    const hasPermission = await chrome.permissions.contains({ origins: [GLOBAL_RULE] });
+    if (!hasPermission) return false;
+
+    if (!(await getGlobalMode())) {
+        await chrome.storage.local.set({ globalMode: true });
+    }
+
+    const tabs = await chrome.tabs.query({ url: GLOBAL_RULE });
+    for (const tab of tabs) {
+        if (!(await findEnabledRule(tab.url))) continue;
+        await injectIntoTab(tab.id);
+        await updateBadge(tab.id, true);
+    }
+    return true;
+}
+
+/**
+ * サイトを除外リストに加え、そのサイトのタブでグローバルモードの解除を元に戻す。
+ * 個別に許可したサイト・パターンルールは除外リストより優先される。
+ *
+ * @param {string} site - オリジンまたはパターン
+ */
+async function excludeSite(site) {
+    const sites = await getExcludedSites();
+    if (sites.includes(site)) return;
+    await saveExcludedSites([...sites, site]);
+
+    if (!(await getGlobalMode())) return;
+    const tabs = await chrome.tabs.query({ url: toPermissionPattern(site) });
+    for (const tab of tabs) {
+        await refreshTab(tab);
+    }
+}
+
+/**
+ * サイトを除外リストから外し、グローバルモードならそのサイトのタブを解除する。
+ * @param {string} site - オリジンまたはパターン
+ */
+async function includeSite(site) {
+    const sites = await getExcludedSites();
+    if (!sites.includes(site)) return;
+    await saveExcludedSites(sites.filter((s) => s !== site));
+
+    if (!(await getGlobalMode())) return;
+    const tabs = await chrome.tabs.query({ url: toPermissionPattern(site) });
+    for (const tab of tabs) {
+        if (!(await findEnabledRule(tab.url))) continue;
+        await injectIntoTab(tab.id);
+        await updateBadge(tab.id, true);
+    }
+}
+
+/**
+ * このタブだけを今回限り解除する（ポップアップ・キーボードショートカットから呼ぶ）。
+ * ポップアップを開いたりショートカットを押したりすると、activeTab により
+ * そのタブへの一時的な権限が与えられるので、サイトを許可しなくても注入できる。
+ * ルールは保存しないため、リロードや別のページへの移動で解除は終わる。
+ * 解除中のタブは、ポップアップとバッジの表示のために storage.session に控える。
+ *
+ * @param {chrome.tabs.Tab|undefined} tab - 対象のタブ
+ * @returns {Promise<boolean>} 解除できたかどうか
+ */
+async function unlockTabOnce(tab) {
+    const origin = tab?.id && tab.url ? extractOrigin(tab.url) : null;
+    if (!origin) return false;
+
+    // 保存済みの設定があればそれを使い、なければ既定値で解除する
+    const rule = (await findEnabledRule(tab.url)) || origin;
+    const success = await injectContentScript(tab.id, await getContentSettings(rule));
+    if (!success) return false;
+
+    const { oneTimeTabs = {} } = await chrome.storage.session.get("oneTimeTabs");
+    oneTimeTabs[tab.id] = origin;
+    await chrome.storage.session.set({ oneTimeTabs });
+
+    await updateBadge(tab.id, true);
+    return true;
+}
+
+/**
+ * 今回限り解除したタブの解除機能を変更する（ポップアップのチェックボックスから呼ぶ）。
+ * ルールを保存しないタブなので、設定も siteSettings には保存せず、タブの content.js に直接届ける。
+ * 変更した設定はポップアップに表示するため、解除中の間だけ storage.session に控える。
+ *
+ * @param {chrome.tabs.Tab|undefined} tab - 対象のタブ
+ * @param {Object} settings - 新しい解除機能の設定
+ * @returns {Promise<boolean>} 届けられたかどうか
+ */
+async function configureOnceTab(tab, settings) {
+    if (!tab?.id || !(await isUnlockedOnce(tab.id))) return false;
+
+    const normalized = normalizeSettings(settings);
+    const { oneTimeSettings = {} } = await chrome.storage.session.get("oneTimeSettings");
+    oneTimeSettings[tab.id] = normalized;
+    await chrome.storage.session.set({ oneTimeSettings });
+
+    // 今回限りの解除ではメインフレームにだけ注入している（unlockTabOnce）
+    const contentSettings = { ...normalized, keyboardCombos: await getKeyboardCombos() };
+    const delivered = await postToFrame(tab.id, 0, { type: "configure", settings: contentSettings });
+    return delivered || (await injectContentScript(tab.id, contentSettings));
+}
+
+/**
+ * 今回限り解除したタブの解除機能の設定を返す（変更していなければ保存済みの設定）。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {string} origin - タブのオリジン
+ * @returns {Promise<Object>}
+ */
+async function getOnceTabSettings(tabId, origin) {
+    const { oneTimeSettings = {} } = await chrome.storage.session.get("oneTimeSettings");
+    return oneTimeSettings[tabId] ?? (await getSiteSettings(origin));
+}
+
+/**
+ * タブが今回限りの解除中かどうかを判定する。
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<boolean>}
+ */
+async function isUnlockedOnce(tabId) {
+    const { oneTimeTabs = {} } = await chrome.storage.session.get("oneTimeTabs");
+    return tabId in oneTimeTabs;
+}
+
+/**
+ * タブの今回限りの解除の記録を消す（ページの移動・タブを閉じた時）。
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<boolean>} 記録があったかどうか
+ */
+async function forgetUnlockedOnce(tabId) {
+    const { oneTimeTabs = {}, oneTimeSettings = {} } =
+        await chrome.storage.session.get(["oneTimeTabs", "oneTimeSettings"]);
+    if (!(tabId in oneTimeTabs)) return false;
+
+    delete oneTimeTabs[tabId];
+    delete oneTimeSettings[tabId];
+    await chrome.storage.session.set({ oneTimeTabs, oneTimeSettings });
+    return true;
+}
+
+// =====================================================
+// 5. メッセージハンドラー
+// =====================================================
+// ポップアップやオプションページからのメッセージを受信して処理する。
+// chrome.runtime.onMessage は拡張機能内の通信に使われるメッセージングAPI。
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // 非同期処理を行う場合、true を返して sendResponse を保持する必要がある
+    handleMessage(message, sender, sendResponse);
+    return true; // 非同期レスポンスを示す
+});
+
+async function handleMessage(message, sender, sendResponse) {
+    // ページ内で動く relay.js から受け付けるのは回数の報告だけ
+    // （ページ側からサイトの許可や設定を変えられないようにする）
+    const fromPage = sender.url && !sender.url.startsWith(chrome.runtime.getURL(""));
+    if (fromPage && message.type !== "blockedActions") {
+        sendResponse({ success: false });
+        return;
+    }
+
+    try {
+        switch (message.type) {
+            // --- ポップアップからの状態取得要求 ---
+            case "getStatus": {
+                const tab = await getCurrentTab();
+                if (!tab?.url) {
+                    sendResponse({ enabled: false, origin: null, supported: false });
+                    return;
+                }
+
+                const origin = extractOrigin(tab.url);
+                if (!origin) {
+                    // chrome:// 等の特殊ページ
+                    sendResponse({ enabled: false, origin: null, supported: false });
+                    return;
+                }
+
+                // 完全一致のオリジンか、パターンルールで有効化されているか
+                const rule = await findEnabledRule(tab.url);
+                const unlockedOnce = !rule && (await isUnlockedOnce(tab.id));
+                const settings = unlockedOnce
+                    ? await getOnceTabSettings(tab.id, origin)
+                    : await getSiteSettings(rule || origin);
+                const expirations = await getExpirations();
+                sendResponse({
+                    enabled: !!rule,
+                    origin,
+                    rule,
+                    settings,
+                    expiresAt: rule ? expirations[rule] ?? null : null,
+                    unlockedOnce,
+                    globalMode: await getGlobalMode(),
+                    excludedBy: await findExclusion(tab.url),
+                    domainPattern: getDomainPattern(tab.url),
+                    frames: await getFrameStatus(tab.id),
+                    supported: true,
+                });
+                return;
+            }
+
+            // --- ポップアップからの無効化したオーバーレイの取得要求 ---
+            case "getOverlayReport": {
+                const tab = await getCurrentTab();
+                sendResponse({ overlays: tab?.id ? await getOverlayReport(tab.id) : [] });
+                return;
+            }
+
+            // --- ポップアップからの画像の候補の取得要求 ---
+            case "getImageCandidates": {
+                const tab = await getCurrentTab();
+                sendResponse({ images: tab?.id ? await getImageCandidates(tab.id) : [] });
+                return;
+            }
+
+            // --- ポップアップからの動画・音声のソースの取得要求 ---
+            case "getMediaSources": {
+                const tab = await getCurrentTab();
+                sendResponse({ media: tab?.id ? await getMediaSources(tab.id) : [] });
+                return;
+            }
+
+            // --- relay.js からの、無効化した操作の回数（フレームごとの累計）の報告 ---
+            case "blockedActions": {
+                if (!sender.tab?.id || !Number.isInteger(message.total)) {
+                    sendResponse({ success: false });
+                    return;
+                }
+
+                await recordBlockedActions(sender.tab.id, sender.frameId ?? 0, message.total);
+                sendResponse({ success: true });
+                return;
+            }
+
+            // --- ポップアップを開いた時の制限の検出 ---
+            case "scanPage": {
+                const tab = await getCurrentTab();
+                sendResponse(tab?.id ? await scanPage(tab.id) : { scan: null, stats: null });
+                return;
+            }
+
+            // --- ポップアップからの有効化要求 ---
+            // duration（ミリ秒）があれば、その時間だけの期限付きで有効化する
+            case "enable": {
+                sendResponse(await enableTab(await getCurrentTab(), message.duration));
+                return;
+            }
+
+            // --- ポップアップからの今回限りの解除要求 ---
+            case "unlockOnce": {
+                const tab = await getCurrentTab();
+                sendResponse({ success: await unlockTabOnce(tab) });
+                return;
+            }
+
+            // --- ポップアップからの無効化要求 ---
+            case "disable": {
+                sendResponse(await disableTab(await getCurrentTab()));
+                return;
+            }
+
+            // --- オプションページからのグローバルモードの切り替え要求 ---
+            case "enableGlobal": {
+                const success = await enableGlobalMode();
+                sendResponse({ success, enabled: success });
+                return;
+            }
+
+            case "disableGlobal": {
+                await disableRule(GLOBAL_RULE);
+                sendResponse({ success: true, enabled: false });
+                return;
+            }
+
+            // --- ポップアップ・オプションページからの除外リストの変更要求 ---
+            // ポップアップからはオリジン、オプションページからは入力された URL かパターンが届く
+            // （"https://example.com/page" のような URL もパターンの形式に合うため、"*" を含むものだけをパターンとみなす）
+            case "excludeSite": {
+                const input = String(message.site ?? "");
+                const site = input.includes("*") && isValidMatchPattern(input)
+                    ? input
+                    : extractOrigin(input);
+                if (!site) {
+                    sendResponse({ success: false });
+                    return;
+                }
+
+                await excludeSite(site);
+                sendResponse({ success: true, excludedSites: await getExcludedSites() });
+                return;
+            }
+
+            case "includeSite": {
+                await includeSite(message.site);
+                sendResponse({ success: true, excludedSites: await getExcludedSites() });
+                return;
+            }
+
+            // --- ポップアップからのパターンルール有効化要求 ---
+            case "enablePattern": {
+                if (!isValidMatchPattern(message.pattern)) {
+                    sendResponse({ success: false });
+                    return;
+                }
+
+                const success = await enablePattern(message.pattern);
+                sendResponse({ success, enabled: success });
+                return;
+            }
+
+            // --- オプションページからの一覧取得要求 ---
+            case "getEnabledOrigins": {
+                const origins = await getEnabledOrigins();
+                const patterns = await getEnabledPatterns();
+                const settings = {};
+                for (const rule of [...origins, ...patterns]) {
+                    settings[rule] = await getSiteSettings(rule);
+                }
+                settings[GLOBAL_RULE] = await getSiteSettings(GLOBAL_RULE);
+                sendResponse({
+                    origins,
+                    records: await getSiteRecords(),
+                    patterns,
+                    settings,
+                    expirations: await getExpirations(),
+                    globalMode: await getGlobalMode(),
+                    excludedSites: await getExcludedSites(),
+                });
+                return;
+            }
+
+            // --- ポップアップ・オプションページからの設定変更要求 ---
+            case "updateSettings": {
+                if (message.rule !== GLOBAL_RULE && !isValidRule(message.rule)) {
+                    sendResponse({ success: false });
+                    return;
+                }
+
+                const settings = await saveSiteSettings(message.rule, message.settings);
+                await refreshEnabledTabs(message.rule);
+                sendResponse({ success: true, settings });
+                return;
+            }
+
+            // --- ポップアップからの今回限りの解除中のタブの設定変更要求 ---
+            case "configureOnceTab": {
+                const success = await configureOnceTab(await getCurrentTab(), message.settings);
+                sendResponse({ success });
+                return;
+            }
+
+            // --- オプションページからの保護ショートカットの取得・変更要求 ---
+            case "getKeyboardCombos": {
+                sendResponse({ combos: await getKeyboardCombos() });
+                return;
+            }
+
+            case "updateKeyboardCombos": {
+                if (!Array.isArray(message.combos)) {
+                    sendResponse({ success: false });
+                    return;
+                }
+
+                const combos = await saveKeyboardCombos(message.combos);
+
+                // 全体共通の設定なので、有効化されているすべてのルールのタブに反映する
+                await refreshAllEnabledTabs();
+
+                sendResponse({ success: true, combos });
+                return;
+            }
+
+            // --- オプションページからの個別削除要求 ---
+            case "removeOrigin": {
+                // 開いているタブの解除も元に戻し、権限も取り消す
+                await disableRule(message.origin);
+
+                sendResponse({ success: true, origins: await getEnabledOrigins() });
+                return;
+            }
+
+            // --- オプションページからの複数サイトの削除要求（選択したサイト・使っていないサイトの整理） ---
+            case "removeOrigins": {
+                const origins = Array.isArray(message.origins) ? message.origins : [];
+                for (const origin of origins) {
+                    await disableRule(origin);
+                }
+
+                sendResponse({ success: true, origins: await getEnabledOrigins() });
+                return;
+            }
+
+            // --- オプションページからのメモの変更要求 ---
+            case "updateSiteNote": {
+                await saveSiteNote(message.origin, String(message.note ?? "").slice(0, 200));
+                sendResponse({ success: true });
+                return;
+            }
+
+            // --- オプションページからのパターンルール削除要求 ---
+            case "removePattern": {
+                await disableRule(message.pattern);
+
+                sendResponse({ success: true, patterns: await getEnabledPatterns() });
+                return;
+            }
+
+            // --- オプションページからのインポート・エクスポート ---
+            case "exportSites": {
+                sendResponse({ data: await exportSites() });
+                return;
+            }
+
+            case "parseImport": {
+                sendResponse(parseImport(message.data));
+                return;
+            }
+
+            case "importSites": {
+                const result = await importSites(message.rules || [], message.mode);
+                sendResponse({ success: true, ...result });
+                return;
+            }
+
+            // --- オプションページからの同期の設定 ---
+            case "getSyncStatus": {
+                sendResponse(await getSyncStatus());
+                return;
+            }
+
+            case "setSyncEnabled": {
+                await chrome.storage.local.set({ syncEnabled: !!message.enabled });
+                if (message.enabled) await enqueueSync(mergeWithSync);
+                sendResponse({ success: true, ...(await getSyncStatus()) });
+                return;
+            }
+
+            case "applySyncedSites": {
+                // 権限はオプションページで許可済みの前提で、未取り込みのルールを取り込む
+                await enqueueSync(async () => {
+                    const localRules = [...(await getEnabledOrigins()), ...(await getEnabledPatterns())];
+                    const synced = await getSyncedSites();
+                    const syncedExpirations = await getSyncedExpirations();
+                    for (const [rule, settings] of Object.entries(synced)) {
+                        if (localRules.includes(rule)) continue;
+                        await adoptSyncedRule(rule, settings, syncedExpirations[rule]);
+                    }
+                });
+                sendResponse({ success: true, ...(await getSyncStatus()) });
+                return;
+            }
+
+            // --- オプションページからの全削除要求 ---
+            case "removeAllOrigins": {
+                const origins = await getEnabledOrigins();
+                const patterns = await getEnabledPatterns();
+
+                // すべてのルールを無効化（開いているタブの解除と権限も取り消す）
+                for (const rule of [...origins, ...patterns]) {
+                    await disableRule(rule);
+                }
+
+                sendResponse({ success: true });
+                return;
+            }
+
+            default:
+                sendResponse({ error: "Unknown message type" });
+        }
+    } catch (error) {
+        console.error("[EnableRightClick] メッセージ処理エラー:", error);
+        sendResponse({ error: error.message });
+    }
+}
+
+/**
+ * 現在アクティブなタブを取得する。
+ * chrome.tabs.query で現在のウィンドウのアクティブタブを取得。
+ *
+ * @returns {Promise<chrome.tabs.Tab|undefined>}
+ */
+async function getCurrentTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab;
+}
+
+/**
+ * ルールで有効化されているタブすべてに設定変更を反映する。
+ * 注入済みの Content Script には relay.js 経由で新しい設定を渡す（configureFrames）。
+ * teardown しないので、ページより先に仕掛けたフックはそのまま残る。
+ *
+ * @param {string} rule - 対象のオリジンまたはパターン
+ */
+async function refreshEnabledTabs(rule) {
+    const settings = await getContentSettings(rule);
+    const tabs = await chrome.tabs.query({ url: toPermissionPattern(rule) });
+    for (const tab of tabs) {
+        await configureFrames(tab.id, rule, settings);
+    }
+}
+
+/**
+ * 有効化されているすべてのルール（グローバルモードが ON ならそれも含む）のタブに
+ * 設定変更を反映する。保護ショートカットのような全体共通の設定を変えた時に呼ぶ。
+ */
+async function refreshAllEnabledTabs() {
+    const rules = [...(await getEnabledOrigins()), ...(await getEnabledPatterns())];
+    if (await getGlobalMode()) rules.push(GLOBAL_RULE);
+    for (const rule of rules) {
+        await refreshEnabledTabs(rule);
+    }
+}
+
+// =====================================================
+// 6. タブ更新時の自動注入（フォールバック）
+// =====================================================
+// 有効化済みのサイトでは、登録済みの Content Script が document_start で動き、
+// 設定は webNavigation.onCommitted で届ける（6-3）。
+// ここでは登録が間に合わなかった場合（有効化した直後のタブ、登録の失敗など）に備えて、
+// ページの読み込み完了をトリガーに Content Script を注入する。
+// すでに動いている場合は二重実行防止により設定の反映だけが行われる。
+//
+// chrome.tabs.onUpdated はタブの状態変化（URL変更、読み込み完了等）を監視する。
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    // status === "complete" はページの読み込みが完了したことを示す
+    if (changeInfo.status !== "complete" || !tab.url) return;
+
+    // 完全一致のオリジン、またはパターンルールに一致するか
+    const rule = await findEnabledRule(tab.url);
+    if (rule) {
+        // 権限がまだ有効か確認
+        const hasPermission = await chrome.permissions.contains({
+            origins: [toPermissionPattern(rule)],
+        });
+
+        if (hasPermission) {
+            await injectIntoTab(tabId);
+            await updateBadge(tabId, true);
+        } else {
+            // 権限が取り消されていたら、ストレージからも削除
+            await forgetRule(rule);
+        }
+    }
+});
+
+// =====================================================
+// 6-2. iframe の読み込み完了時の自動注入
+// =====================================================
+// 後から追加・遷移した iframe は tabs.onUpdated では検知できないため、
+// chrome.webNavigation.onCompleted でフレーム単位の読み込み完了を監視する。
+// メインフレーム（frameId === 0）は tabs.onUpdated 側で処理する。
+
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+    if (details.frameId === 0) return;
+
+    let frames;
+    try {
+        frames = await chrome.webNavigation.getAllFrames({ tabId: details.tabId });
+    } catch {
+        return;
+    }
+
+    const frame = frames?.find((f) => f.frameId === details.frameId);
+    if (!frame) return;
+
+    await injectIntoFrames(details.tabId, [frame], frames);
+});
+
+// =====================================================
+// 6-3. ナビゲーション確定時の設定の受け渡し
+// =====================================================
+// 登録済みの Content Script は document_start で動くが、設定は受け取れない。
+// ナビゲーションが確定した時点（onCommitted）で、フレームのルールの設定を届ける。
+// 設定が届くまでの間、content.js はすべての機能を有効として扱う。
+
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+    let frames;
+    try {
+        frames = (await chrome.webNavigation.getAllFrames({ tabId: details.tabId })) || [];
+    } catch {
+        return;
+    }
+
+    // 確定したばかりのフレームは getAllFrames の結果が古い場合があるため、
+    // details の URL で置き換えて実効 URL を求める
+    const frame = {
+        frameId: details.frameId,
+        parentFrameId: details.parentFrameId,
+        url: details.url,
+    };
+    const url = resolveFrameUrl(frame, frames);
+    const rule = url && (await findEnabledRule(url));
+    if (!rule) return;
+
+    await deliverSettings(details.tabId, details.frameId, await getContentSettings(rule));
+
+    // 許可済みサイトのページを開いた記録（オプションページの並べ替え・整理に使う）
+    if (details.frameId === 0 && !isValidMatchPattern(rule) && rule !== GLOBAL_RULE) {
+        await recordInjection(rule);
+    }
+});
+
+// =====================================================
+// 7. タブ切り替え時のバッジ更新
+// =====================================================
+// タブを切り替えた時にバッジの表示を更新する。
+// バッジはタブごとに設定されるので、新しいタブに切り替えた時に適切な状態を表示。
+
+chrome.tabs.onActivated.addListener(async (activeInfo) => {
+    try {
+        const tab = await chrome.tabs.get(activeInfo.tabId);
+        if (!tab.url) return;
+
+        const rule = await findEnabledRule(tab.url);
+        await updateBadge(activeInfo.tabId, !!rule || (await isUnlockedOnce(activeInfo.tabId)));
+    } catch {
+        // タブが存在しない場合
+    }
+});
+
+// =====================================================
+// 8. 権限付与時の自動有効化
+// =====================================================
+// chrome.permissions.request() はポップアップ側で呼ばれるが、
+// 権限ダイアログが表示される際にポップアップが閉じてしまうことがある。
+// その場合、ポップアップ側の後続処理（トグル完了）が実行されない。
+// このリスナーで権限付与を検知し、有効化処理を完了させる。
+
+chrome.permissions.onAdded.addListener(async (permissions) => {
+    if (!permissions.origins || permissions.origins.length === 0) return;
+
+    for (const pattern of permissions.origins) {
+        // "<all_urls>" はオプションページのグローバルモードから要求される
+        if (pattern === GLOBAL_RULE) {
+            await enableGlobalMode();
+            continue;
+        }
+
+        // "https://example.com/*" → "https://example.com"
+        const origin = pattern.replace(/\/\*$/, "");
+
+        // オリジン単位でない権限（"*://*.example.com/*" 等）はパターンルールとして扱う
+        if (extractOrigin(origin) !== origin) {
+            if (isValidMatchPattern(pattern)) {
+                await enablePattern(pattern);
+            }
+            continue;
+        }
+
+        // 既に有効化済みなら何もしない（ポップアップ側で処理完了済み）
+        const origins = await getEnabledOrigins();
+        if (origins.includes(origin)) continue;
+
+        // ストレージに保存
+        await addEnabledRules([origin]);
+
+        // 対象タブを見つけて Content Script を注入
+        const tabs = await chrome.tabs.query({ url: pattern });
+        for (const tab of tabs) {
+            await injectIntoTab(tab.id);
+            await updateBadge(tab.id, true);
+        }
+    }
+});
+
+// =====================================================
+// 9. 登録済み Content Script の同期
+// =====================================================
+// ルールの追加・削除はどの経路（ポップアップ・オプションページ・権限付与）でも
+// ストレージの変更として現れるので、ここで一括して登録を更新する。
+// ユーザーが chrome://extensions から権限を取り消した場合にも追従する。
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    // siteSettings は開発者ツールの妨害の ON/OFF で登録が変わるため
+    if (haveRulesChanged(changes) || changes.globalMode || changes.excludedSites || changes.siteSettings) {
+        syncRegisteredScripts();
+    }
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+    syncRegisteredScripts();
+});
+
+// インストール・更新時に、保存済みのルールを新しい形式に移行し、登録を作り直す
+chrome.runtime.onInstalled.addListener(async () => {
+    await migrateSiteRecords();
+    syncRegisteredScripts();
+});
+
+// =====================================================
+// 10. コンテキストメニュー
+// =====================================================
+// 解除したサイトでは、右クリックメニューに「EnableRightClick」のサブメニューを出す。
+// ブラウザ標準のメニューではできない操作（CSS 背景や canvas の画像 URL のコピー、
+// 転送用 URL を外したリンク先のコピー、選択範囲のテキスト・Markdown でのコピー）を行う。
+//
+// 右クリックした位置の要素は content.js が mousedown の時点で控えているので、
+// メニューのクリック時にそのフレームの content.js に問い合わせる。
+// メニューの表示先は documentUrlPatterns で有効化済みのルールと、今回限り解除したタブのオリジンに絞る。
+// マッチパターンでは除外できないため、グローバルモードの除外サイトにもメニューは出る。
+// 解除していないページでメニューを選んだ場合は、クリック時にその旨を表示する。
+
+/** サブメニューの親項目の ID */
+const CONTEXT_MENU_ID = "enable-right-click";
+
+/**
+ * サブメニューの項目。
+ * method はクリック時に呼ぶ window.__enableRightClick のメソッド（null は background で処理）。
+ */
+const CONTEXT_MENU_ITEMS = [
+    { id: "copy-image-url", title: "画像の URL をコピー", contexts: ["all"], method: "getContextImageUrl" },
+    { id: "copy-link-url", title: "リンク先の URL をコピー（転送を外す）", contexts: ["link"], method: null },
+    { id: "copy-text", title: "選択範囲をテキストでコピー", contexts: ["selection"], method: "getSelectionText" },
+    { id: "copy-markdown", title: "選択範囲を Markdown でコピー", contexts: ["selection"], method: "getSelectionMarkdown" },
+];
+
+/**
+ * よく使われる転送用のサービス（ホスト・パスと、転送先の URL を入れるパラメータ）。
+ * 例: https://www.google.com/url?q=https://example.com/
+ *     https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2F
+ * 検索結果や共有リンクのように、普通のリンクも URL をパラメータに持つことがあるため、
+ * ここにあるサービスと、転送用のパス（REDIRECT_PATH_RE）のリンクだけを辿る。
+ */
+const REDIRECTORS = [
+    { host: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ["q", "url"] },
+    { host: /^(l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ["u"] },
+    { host: /^l\.instagram\.com$/, path: /^\/$/, params: ["u"] },
+    { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ["q"] },
+    { host: /^out\.reddit\.com$/, path: /^\//, params: ["url"] },
+    { host: /^slack-redir\.net$/, path: /^\/link$/, params: ["url"] },
+    { host: /^steamcommunity\.com$/, path: /^\/linkfilter\/?$/, params: ["url", "u"] },
+    { host: /^(www\.)?linkedin\.com$/, path: /^\/redir\/redirect\/?$/, params: ["url"] },
+    { host: /^vk\.com$/, path: /^\/away\.php$/, params: ["to"] },
+    { host: /\.safelinks\.protection\.outlook\.com$/, path: /^\//, params: ["url"] },
+];
+
+/**
+ * サイト自身の転送用のパス（/redirect、/out.php、/away 等の最後の区切り）。
+ * 例: https://example.com/redirect?url=https://other.example/
+ */
+const REDIRECT_PATH_RE = /\/(redirect|redir|out|outbound|away|exit|external|leave|jump|goto|go)(\.(php|html?|aspx?|cgi))?\/?$/i;
+
+/** 転送用のパスで、転送先の URL を入れるのによく使われるクエリパラメータ */
+const REDIRECT_PARAMS = ["url", "u", "target", "dest", "destination", "redirect", "redirect_uri", "to", "link", "goto"];
+
+/**
+ * URL が転送用のものなら、転送先を入れるパラメータ名の一覧を返す。
+ *
+ * @param {URL} urlObj - リンクの URL
+ * @returns {string[]} パラメータ名の一覧（転送用でなければ空）
+ */
+function getRedirectParams(urlObj) {
+    const redirector = REDIRECTORS.find(
+        (entry) => entry.host.test(urlObj.hostname) && entry.path.test(urlObj.pathname)
+    );
+    if (redirector) return redirector.params;
+    return REDIRECT_PATH_RE.test(urlObj.pathname) ? REDIRECT_PARAMS : [];
+}
+
+/**
+ * コンテキストメニューを作り直す。
+ * メニューはブラウザに保存されるため、インストール・更新時にだけ作成する。
+ */
+async function createContextMenus() {
+    await chrome.contextMenus.removeAll();
+
+    chrome.contextMenus.create({
+        id: CONTEXT_MENU_ID,
+        title: "EnableRightClick",
+        contexts: ["all"],
+        visible: false,
+    });
+    for (const item of CONTEXT_MENU_ITEMS) {
+        chrome.contextMenus.create({
+            id: item.id,
+            parentId: CONTEXT_MENU_ID,
+            title: item.title,
+            contexts: item.contexts,
+        });
+    }
+
+    await updateContextMenus();
+}
+
+/**
+ * メニューを表示するページを、有効化されているルールと今回限り解除したタブに合わせる。
+ * 子項目は親の表示先を引き継ぐので、親だけを更新すればよい。
+ */
+async function updateContextMenus() {
+    const { oneTimeTabs = {} } = await chrome.storage.session.get("oneTimeTabs");
+    const rules = [...(await getEnabledOrigins()), ...(await getEnabledPatterns())];
+    if (await getGlobalMode()) rules.push(GLOBAL_RULE);
+    for (const origin of Object.values(oneTimeTabs)) {
+        if (!rules.includes(origin)) rules.push(origin);
+    }
+    try {
+        // ルールがない場合は表示先を変えずに非表示にする
+        await chrome.contextMenus.update(
+            CONTEXT_MENU_ID,
+            rules.length > 0
+                ? { visible: true, documentUrlPatterns: rules.map(toPermissionPattern) }
+                : { visible: false }
+        );
+    } catch (error) {
+        // メニューがまだ作られていない（onInstalled より前）場合
+        console.warn("[EnableRightClick] コンテキストメニューの更新に失敗:", error);
+    }
+}
+
+/**
+ * 転送用の URL（リダイレクター）から本来のリンク先を取り出す。
+ * 転送用のサービス・パスのリンクで、パラメータに http(s) の URL が入っていれば、
+ * それを辿る（入れ子にも対応）。
+ *
+ * @param {string} url - リンクの URL
+ * @returns {string} 転送を外した URL（転送用でなければそのまま）
+ */
+function unwrapRedirect(url) {
+    let current = url;
+    for (let i = 0; i < 5; i++) {
+        let urlObj;
+        try {
+            urlObj = new URL(current);
+        } catch {
+            break;
+        }
+
+        const next = getRedirectParams(urlObj)
+            .map((name) => urlObj.searchParams.get(name))
+            .find((value) => value && /^https?:\/\//i.test(value));
+        if (!next) break;
+        current = next;
+    }
+    return current;
+}
+
+/**
+ * フレームの Content Script のメソッドを呼び、結果を返す。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 対象のフレームID
+ * @param {string} method - window.__enableRightClick のメソッド名
+ * @returns {Promise<*>} メソッドの戻り値（Content Script がない場合は null）
+ */
+async function callContentScript(tabId, frameId, method) {
+    const [result] = await chrome.scripting.executeScript({
+        target: { tabId: tabId, frameIds: [frameId] },
+        func: (name) => window.__enableRightClick?.[name]?.() ?? null,
+        args: [method],
+        world: "MAIN",
+    });
+    return result?.result ?? null;
+}
+
+/**
+ * フレーム内でテキストをクリップボードにコピーする。
+ * ISOLATED ワールドで実行するので、clipboardWrite 権限によりページの
+ * copy イベントの妨害やユーザー操作の有無に関係なく書き込める。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 対象のフレームID
+ * @param {string} text - コピーする文字列
+ */
+async function copyToClipboard(tabId, frameId, text) {
+    await chrome.scripting.executeScript({
+        target: { tabId: tabId, frameIds: [frameId] },
+        func: async (value) => {
+            try {
+                await navigator.clipboard.writeText(value);
+            } catch {
+                // フォーカスがない場合などは、一時的なテキストエリア経由でコピーする
+                const textarea = document.createElement("textarea");
+                textarea.value = value;
+                textarea.style.cssText = "position: fixed; opacity: 0;";
+                document.documentElement.appendChild(textarea);
+                textarea.select();
+                document.execCommand("copy");
+                textarea.remove();
+            }
+        },
+        args: [text],
+    });
+}
+
+/**
+ * フレームにメッセージを表示する（解除していないページでメニューを選んだ場合など）。
+ * メニューのクリックで activeTab の権限が与えられるので、未許可のサイトでも表示できる。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 対象のフレームID
+ * @param {string} message - 表示する文字列
+ */
+async function showMessage(tabId, frameId, message) {
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId, frameIds: [frameId] },
+            func: (text) => alert(text),
+            args: [message],
+        });
+    } catch {
+        // chrome:// ページなど、注入できない場合
+    }
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const item = CONTEXT_MENU_ITEMS.find((entry) => entry.id === info.menuItemId);
+    if (!item || !tab?.id) return;
+
+    const frameId = info.frameId ?? 0;
+
+    // Content Script を使う項目は、解除していないページ（除外サイトなど）では使えない
+    if (item.method) {
+        const url = info.frameUrl || info.pageUrl;
+        if (!(await findEnabledRule(url)) && !(await isUnlockedOnce(tab.id))) {
+            await showMessage(
+                tab.id,
+                frameId,
+                "EnableRightClick: このページは解除されていないため、この操作は使えません。"
+            );
+            return;
+        }
+    }
+
+    try {
+        const text = item.method
+            ? await callContentScript(tab.id, frameId, item.method)
+            : unwrapRedirect(info.linkUrl);
+        if (text) {
+            await copyToClipboard(tab.id, frameId, text);
+        }
+    } catch (error) {
+        console.error("[EnableRightClick] コンテキストメニューの処理に失敗:", error);
+    }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    createContextMenus();
+});
+
+// ルールが変わったら表示先を更新する（9 と同じく、ストレージの変更を起点にする）
+// 今回限りの解除は storage.session に控えている（4 の unlockTabOnce を参照）
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "session") {
+        if (changes.oneTimeTabs) updateContextMenus();
+        return;
+    }
+    if (areaName !== "local") return;
+    if (haveRulesChanged(changes) || changes.globalMode) {
+        updateContextMenus();
+    }
+});
+
+// =====================================================
+// 11. キーボードショートカット
+// =====================================================
+// manifest.json の commands で定義したショートカットを処理する。
+//
+// - toggle-site:    現在のサイトの有効/無効を切り替える（ポップアップのトグルと同じ）
+// - unlock-tab:     このタブだけを今回限り解除する（activeTab の一時的な権限を使い、保存しない）
+// - open-site-list: 許可済みサイトの一覧（オプションページ）を開く
+//
+// 有効化に必要な chrome.permissions.request() はユーザー操作の延長でしか呼べない。
+// ショートカットの操作はユーザー操作として扱われるが、await を挟むと
+// その扱いが切れることがあるため、最初に要求しておく。
+// それでも要求できなかった場合は、ポップアップを開いてトグルで有効化してもらう。
+
+/**
+ * ショートカットで現在のサイトの有効/無効を切り替える。
+ * @param {chrome.tabs.Tab} tab - 対象のタブ
+ */
+async function toggleSiteByCommand(tab) {
+    const origin = tab?.url ? extractOrigin(tab.url) : null;
+    if (!origin) return;
+
+    // 有効化済みのサイトでは権限がすでにあるので、ダイアログは出ない
+    const granted = await chrome.permissions
+        .request({ origins: [origin + "/*"] })
+        .catch(() => null);
+
+    if (await findEnabledRule(tab.url)) {
+        await disableTab(tab);
+        return;
+    }
+
+    if (granted === null) {
+        // ユーザー操作として扱われなかった
+        await chrome.action.openPopup().catch(() => { });
+        return;
+    }
+    if (granted) {
+        await enableTab(tab);
+    }
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    try {
+        switch (command) {
+            case "toggle-site":
+                await toggleSiteByCommand(tab ?? (await getCurrentTab()));
+                break;
+            case "unlock-tab":
+                await unlockTabOnce(tab ?? (await getCurrentTab()));
+                break;
+            case "open-site-list":
+                await chrome.runtime.openOptionsPage();
+                break;
+        }
+    } catch (error) {
+        console.error("[EnableRightClick] ショートカットの処理に失敗:", error);
+    }
+});
+
+// =====================================================
+// 12. 期限付き・今回限りの解除の後始末
+// =====================================================
+// 期限付きで有効化したルールは、期限の時刻に chrome.alarms で無効化する。
+// アラームはブラウザを閉じている間は鳴らないため、起動時にも期限切れのルールを片付け、
+// 残っているルールのアラームを登録し直す。
+//
+// 今回限りの解除（activeTab）は、タブのページが変わった時点で記録を消す。
+
+/** 期限切れのアラーム名の接頭辞（後ろにルールが続く） */
+const EXPIRY_ALARM_PREFIX = "expire:";
+
+/**
+ * 期限切れのルールを無効化し、期限前のルールのアラームを登録し直す。
+ */
+async function expireRules() {
+    const expirations = await getExpirations();
+    for (const [rule, expiresAt] of Object.entries(expirations)) {
+        if (expiresAt <= Date.now()) {
+            await disableRule(rule);
+        } else {
+            await chrome.alarms.create(EXPIRY_ALARM_PREFIX + rule, { when: expiresAt });
+        }
+    }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (!alarm.name.startsWith(EXPIRY_ALARM_PREFIX)) return;
+
+    const rule = alarm.name.slice(EXPIRY_ALARM_PREFIX.length);
+    const expirations = await getExpirations();
+    // 期限が延長・解除されていれば何もしない
+    if (!(rule in expirations) || expirations[rule] > Date.now()) return;
+
+    await disableRule(rule);
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    expireRules();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    expireRules();
+});
+
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+    if (!(await forgetUnlockedOnce(details.tabId))) return;
+
+    // 許可済みのサイトへ移動した場合は 6 の処理でバッジが付く
+    if (!(await findEnabledRule(details.url))) {
+        await updateBadge(details.tabId, false);
+    }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetUnlockedOnce(tabId);
+});
+
+// =====================================================
+// 13. サイト一覧のインポート・エクスポート
+// =====================================================
+// オプションページから、許可済みのルールとルールごとの設定を JSON で書き出し・読み込む。
+// ファイルの形式はストレージのキーと同じ名前を使う:
+//
+//   { "format": "enable-right-click", "version": 2,
+//     "enabledOrigins": [{ "origin": ..., "note": ..., ... }], "enabledPatterns": [...],
+//     "siteSettings": { ... } }
+//
+// version 1 のファイル（enabledOrigins がオリジンの文字列の配列）や、
+// オリジンの配列だけのファイル（["https://example.com", ...]）も読み込める。
+// サイトのレコードのうち、取り込むのはメモだけ（追加日時や解除の記録はこの端末のもの）。
+// 権限の要求はユーザー操作の延長で行う必要があるため、オプションページ側で
+// parseImport → 足りない権限をまとめて要求 → importSites の順に呼ぶ。
+
+/** エクスポートするファイルの形式名 */
+const EXPORT_FORMAT = "enable-right-click";
+
+/** エクスポートするファイルの形式のバージョン */
+const EXPORT_VERSION = 2;
+
+/**
+ * 許可済みのルールと設定をエクスポート用のオブジェクトにまとめる。
+ * @returns {Promise<Object>} JSON に書き出すオブジェクト
+ */
+async function exportSites() {
+    const enabledOrigins = await getSiteRecords();
+    const enabledPatterns = await getEnabledPatterns();
+    const siteSettings = {};
+    for (const rule of [...enabledOrigins.map((record) => record.origin), ...enabledPatterns]) {
+        siteSettings[rule] = await getSiteSettings(rule);
+    }
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        enabledOrigins,
+        enabledPatterns,
+        siteSettings,
+    };
+}
+
+/**
+ * インポートするデータを検証し、ルールと設定の組に変換する。
+ * オリジンは extractOrigin で正規化する（パスが付いていても取り除く）。
+ * http / https 以外や URL として読めないものは理由付きで rejected に入れる。
+ *
+ * @param {*} data - JSON.parse した値
+ * @returns {{rules: {rule: string, settings: Object, note: string}[], rejected: {entry: string, reason: string}[]}}
+ */
+function parseImport(data) {
+    const rules = [];
+    const rejected = [];
+
+    if (Array.isArray(data)) {
+        data = { enabledOrigins: data };
+    }
+    if (!data || typeof data !== "object") {
+        rejected.push({ entry: "(ファイル全体)", reason: "サイト一覧の形式ではありません" });
+        return { rules, rejected };
+    }
+    if (data.format !== undefined && data.format !== EXPORT_FORMAT) {
+        rejected.push({ entry: "(ファイル全体)", reason: `対応していない形式です: ${data.format}` });
+        return { rules, rejected };
+    }
+
+    const siteSettings = data.siteSettings && typeof data.siteSettings === "object"
+        ? data.siteSettings
+        : {};
+    const origins = Array.isArray(data.enabledOrigins) ? data.enabledOrigins : [];
+    const patterns = Array.isArray(data.enabledPatterns) ? data.enabledPatterns : [];
+    const entries = [
+        ...origins.map((entry) =>
+            typeof entry?.origin === "string"
+                ? { entry: entry.origin, note: String(entry.note ?? ""), isPattern: false }
+                : { entry, note: "", isPattern: false }
+        ),
+        ...patterns.map((entry) => ({ entry, note: "", isPattern: true })),
+    ];
+
+    for (const { entry, note, isPattern } of entries) {
+        if (typeof entry !== "string") {
+            rejected.push({ entry: JSON.stringify(entry), reason: "文字列ではありません" });
+            continue;
+        }
+
+        const rule = isPattern ? (isValidMatchPattern(entry) ? entry : null) : extractOrigin(entry);
+        if (!rule) {
+            const reason = isPattern
+                ? "マッチパターンの形式ではありません"
+                : "http / https のオリジンではありません";
+            rejected.push({ entry, reason });
+            continue;
+        }
+        if (rules.some((r) => r.rule === rule)) continue;
+
+        rules.push({ rule, settings: normalizeSettings(siteSettings[entry] ?? siteSettings[rule]), note });
+    }
+
+    if (entries.length === 0) {
+        rejected.push({ entry: "(ファイル全体)", reason: "サイトが含まれていません" });
+    }
+    return { rules, rejected };
+}
+
+/**
+ * 検証済みのルールを取り込む。
+ * 権限のないルールは取り込まずに rejected として返す。
+ * "replace" の場合は、取り込むルールに含まれない既存のルールを無効化する。
+ *
+ * @param {{rule: string, settings: Object, note: string}[]} rules - parseImport で得たルール
+ * @param {"merge"|"replace"} mode - 既存のルールに追加するか、置き換えるか
+ * @returns {Promise<{imported: string[], rejected: {entry: string, reason: string}[]}>}
+ */
+async function importSites(rules, mode) {
+    const imported = [];
+    const rejected = [];
+
+    for (const { rule, settings } of rules) {
+        if (!isValidRule(rule)) {
+            rejected.push({ entry: rule, reason: "オリジンまたはパターンではありません" });
+            continue;
+        }
+
+        const hasPermission = await chrome.permissions.contains({
+            origins: [toPermissionPattern(rule)],
+        });
+        if (!hasPermission) {
+            rejected.push({ entry: rule, reason: "権限が許可されませんでした" });
+            continue;
+        }
+
+        await saveSiteSettings(rule, settings);
+        imported.push(rule);
+    }
+
+    if (mode === "replace") {
+        const current = [...(await getEnabledOrigins()), ...(await getEnabledPatterns())];
+        for (const rule of current) {
+            if (!imported.includes(rule)) await disableRule(rule);
+        }
+    }
+
+    // 同じ権限の要求で権限付与時の自動有効化（8）も書き込むため、キューの中で最新の一覧に加える
+    await addEnabledRules(imported);
+
+    // メモのあるサイトはメモも取り込む
+    for (const { rule, note } of rules) {
+        if (note && imported.includes(rule) && !isValidMatchPattern(rule)) {
+            await saveSiteNote(rule, note);
+        }
+    }
+
+    // 開いているタブに反映する
+    for (const rule of imported) {
+        const tabs = await chrome.tabs.query({ url: toPermissionPattern(rule) });
+        for (const tab of tabs) {
+            if ((await findEnabledRule(tab.url)) !== rule) continue;
+            await injectIntoTab(tab.id);
+            await updateBadge(tab.id, true);
+        }
+    }
+
+    return { imported, rejected };
 }
 
 // =====================================================
-// 5. メッセージハンドラー
-// =====================================================
-// ポップアップやオプションページからのメッセージを受信して処理する。
-// chrome.runtime.onMessage は拡張機能内の通信に使われるメッセージングAPI。
+// 14. 端末間の同期（chrome.storage.sync）
+// =====================================================
+// オプションページで同期を ON にした端末では、ルールと設定を storage.sync にも書き込む。
+// 拡張機能の動作は今までどおり storage.local のルールを元にし、storage.sync はその写しとして使う。
+//
+// 【ルールごとに別のキーにする理由】
+// storage.sync は1項目あたり 8KB、全体で 100KB・512項目までの制限がある。
+// また、同じキーに複数の端末が書き込むと後から書いた方だけが残る。
+// ルールごとに "site:<ルール>" のキーに分けておけば、別々の端末で追加したルールが
+// 互いに上書きされずに両方残る。書き込みは変更のあったルールだけに絞る（差分だけを送る）。
+// 設定は既定値と異なる機能だけを保存して、容量を節約する。
+//
+// 【権限は同期されない】
+// ホスト権限は端末ごとに許可する必要がある。他の端末で追加されたルールは、
+// この端末で権限があればそのまま有効化し、なければ storage.sync に残したまま
+// オプションページに「この端末では未許可」として表示する。
+//
+// 【期限付きの解除】
+// 期限付きで有効化したルールは、期限（expiresAt）も一緒に同期する。
+// どの端末でも同じ時刻に期限切れになるので、期限切れで削除されたルールを
+// storage.sync から削除しても、他の端末で無期限のルールが消えることはない。
+// 期限が過ぎてから届いたルールは取り込まない。
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // 非同期処理を行う場合、true を返して sendResponse を保持する必要がある
-    handleMessage(message, sender, sendResponse);
-    return true; // 非同期レスポンスを示す
-});
+/** storage.sync のルールのキーの接頭辞（後ろにオリジンまたはパターンが続く） */
+const SYNC_SITE_PREFIX = "site:";
 
-async function handleMessage(message, sender, sendResponse) {
-    try {
-        switch (message.type) {
-            // --- ポップアップからの状態取得要求 ---
-            case "getStatus": {
-                const tab = await getCurrentTab();
-                if (!tab?.url) {
-                    sendResponse({ enabled: false, origin: null, supported: false });
-                    return;
-                }
+/** storage.sync への書き込みを1つずつ順番に行うためのキュー */
+let syncQueue = Promise.resolve();
 
-                const origin = extractOrigin(tab.url);
-                if (!origin) {
-                    // chrome:// 等の特殊ページ
-                    sendResponse({ enabled: false, origin: null, supported: false });
-                    return;
-                }
+/**
+ * 他の端末で削除され、この端末ではまだ無効化していないルール（削除の目印）。
+ * storage.sync にないルールには、書き込みに失敗して同期されていないものもあるため、
+ * 他の端末での削除はこの目印で見分ける。変更通知を受けた時点で記録し、
+ * pullSyncChanges で無効化し終えたら消す。
+ */
+const syncTombstones = new Set();
 
-                const origins = await getEnabledOrigins();
-                const enabled = origins.includes(origin);
-                sendResponse({ enabled, origin, supported: true });
-                return;
-            }
+/**
+ * 同期の処理をキューに積む。
+ * ストレージの変更通知は立て続けに届くため、前の処理が終わってから次を始める。
+ *
+ * @param {Function} task - 実行する非同期関数
+ * @returns {Promise<void>}
+ */
+function enqueueSync(task) {
+    syncQueue = syncQueue.then(task).catch((error) => {
+        console.warn("[EnableRightClick] 同期に失敗:", error.message);
+    });
+    return syncQueue;
+}
 
-            // --- ポップアップからの有効化要求 ---
-            case "enable": {
-                const tab = await getCurrentTab();
-                if (!tab?.url || !tab.id) {
-                    sendResponse({ success: false });
-                    return;
-                }
+/**
+ * この端末で同期が ON かどうかを取得する。
+ * @returns {Promise<boolean>}
+ */
+async function isSyncEnabled() {
+    const result = await chrome.storage.local.get({ syncEnabled: false });
+    return result.syncEnabled;
+}
 
-                const origin = extractOrigin(tab.url);
-                if (!origin) {
-                    sendResponse({ success: false });
-                    return;
-                }
+/**
+ * 設定を既定値と異なる機能だけのオブジェクトにする（storage.sync の容量の節約）。
+ * normalizeSettings に通すと元の設定に戻る。
+ *
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {Object} 既定値と異なる機能だけの設定
+ */
+function compactSettings(settings) {
+    return Object.fromEntries(
+        FEATURES
+            .filter(({ key }) => settings[key] !== DEFAULT_SETTINGS[key])
+            .map(({ key }) => [key, settings[key]])
+    );
+}
 
-                const success = await enableOrigin(tab.id, origin);
-                sendResponse({ success, enabled: success });
-                return;
-            }
+/**
+ * 2つの設定が同じかどうかを判定する。
+ * @param {Object} a - 設定オブジェクト
+ * @param {Object} b - 設定オブジェクト
+ * @returns {boolean}
+ */
+function isSameSettings(a, b) {
+    return FEATURES.every(({ key }) => a[key] === b[key]);
+}
 
-            // --- ポップアップからの無効化要求 ---
-            case "disable": {
-                const tab = await getCurrentTab();
-                if (!tab?.url || !tab.id) {
-                    sendResponse({ success: false });
-                    return;
-                }
+/**
+ * storage.sync に保存されているルールと設定を取得する。
+ * @returns {Promise<Object<string, Object>>} { ルール: 設定 } の形式
+ */
+async function getSyncedSites() {
+    const items = await chrome.storage.sync.get(null);
+    const sites = {};
+    for (const [key, value] of Object.entries(items)) {
+        if (!key.startsWith(SYNC_SITE_PREFIX)) continue;
+        const rule = key.slice(SYNC_SITE_PREFIX.length);
+        if (isValidRule(rule)) sites[rule] = normalizeSettings(value?.settings);
+    }
+    return sites;
+}
 
-                const origin = extractOrigin(tab.url);
-                if (!origin) {
-                    sendResponse({ success: false });
-                    return;
-                }
+/**
+ * storage.sync に保存されている、期限付きのルールの期限を取得する。
+ * @returns {Promise<Object<string, number>>} { ルール: 期限切れになる時刻 } の形式
+ */
+async function getSyncedExpirations() {
+    const items = await chrome.storage.sync.get(null);
+    const expirations = {};
+    for (const [key, value] of Object.entries(items)) {
+        if (key.startsWith(SYNC_SITE_PREFIX) && Number.isFinite(value?.expiresAt)) {
+            expirations[key.slice(SYNC_SITE_PREFIX.length)] = value.expiresAt;
+        }
+    }
+    return expirations;
+}
 
-                await disableOrigin(tab.id, origin);
-                sendResponse({ success: true, enabled: false });
-                return;
-            }
+/**
+ * storage.sync に書き込むルールの項目を作る。
+ *
+ * @param {Object} settings - 設定オブジェクト
+ * @param {number} [expiresAt] - 期限切れになる時刻（期限のないルールは省略）
+ * @returns {{settings: Object, expiresAt?: number}}
+ */
+function toSyncItem(settings, expiresAt) {
+    const item = { settings: compactSettings(settings) };
+    if (expiresAt) item.expiresAt = expiresAt;
+    return item;
+}
 
-            // --- オプションページからの一覧取得要求 ---
-            case "getEnabledOrigins": {
-                const origins = await getEnabledOrigins();
-                sendResponse({ origins });
-                return;
-            }
+/**
+ * storage.sync に書き込む。
+ * 容量の制限を超えた場合などはエラーを syncError に残し、オプションページに表示する。
+ *
+ * @param {Object} items - 書き込む項目
+ * @param {string[]} removedKeys - 削除するキー
+ */
+async function writeSync(items, removedKeys) {
+    if (Object.keys(items).length === 0 && removedKeys.length === 0) return;
 
-            // --- オプションページからの個別削除要求 ---
-            case "removeOrigin": {
-                const origins = await getEnabledOrigins();
-                const updated = origins.filter((o) => o !== message.origin);
-                await saveEnabledOrigins(updated);
-
-                // 権限も取り消し
-                const pattern = message.origin + "/*";
-                try {
-                    await chrome.permissions.remove({ origins: [pattern] });
-                } catch {
-                    // 無視
-                }
+    try {
+        if (removedKeys.length > 0) await chrome.storage.sync.remove(removedKeys);
+        if (Object.keys(items).length > 0) await chrome.storage.sync.set(items);
+        await chrome.storage.local.remove("syncError");
+    } catch (error) {
+        await chrome.storage.local.set({ syncError: error.message });
+    }
+}
 
-                sendResponse({ success: true, origins: updated });
-                return;
-            }
+/**
+ * storage.sync のルールをこの端末に取り込む。
+ * この端末に権限がなければ何もしない（オプションページから許可すると取り込まれる）。
+ *
+ * @param {string} rule - オリジンまたはパターン
+ * @param {Object} settings - 同期されている設定
+ * @param {number} [expiresAt] - 同期されている期限（期限のないルールは省略）
+ * @returns {Promise<boolean>} 取り込んだかどうか
+ */
+async function adoptSyncedRule(rule, settings, expiresAt) {
+    if (expiresAt && expiresAt <= Date.now()) return false;
 
-            // --- オプションページからの全削除要求 ---
-            case "removeAllOrigins": {
-                const origins = await getEnabledOrigins();
+    const hasPermission = await chrome.permissions.contains({
+        origins: [toPermissionPattern(rule)],
+    });
+    if (!hasPermission) return false;
 
-                // 全権限を取り消し
-                for (const origin of origins) {
-                    try {
-                        await chrome.permissions.remove({ origins: [origin + "/*"] });
-                    } catch {
-                        // 無視
-                    }
-                }
+    // 設定と期限を先に保存しておくと、ルールの追加を同期し返す時に差分がなくなる
+    await saveSiteSettings(rule, settings);
+    if (expiresAt) await setRuleExpiry(rule, expiresAt);
 
-                await saveEnabledOrigins([]);
-                sendResponse({ success: true });
-                return;
-            }
+    await addEnabledRules([rule]);
 
-            default:
-                sendResponse({ error: "Unknown message type" });
-        }
-    } catch (error) {
-        console.error("[EnableRightClick] メッセージ処理エラー:", error);
-        sendResponse({ error: error.message });
+    const tabs = await chrome.tabs.query({ url: toPermissionPattern(rule) });
+    for (const tab of tabs) {
+        if ((await findEnabledRule(tab.url)) !== rule) continue;
+        await injectIntoTab(tab.id);
+        await updateBadge(tab.id, true);
     }
+    return true;
 }
 
 /**
- * 現在アクティブなタブを取得する。
- * chrome.tabs.query で現在のウィンドウのアクティブタブを取得。
+ * storage.local の変更のうち、ルール・設定・保護ショートカットの差分を storage.sync に書き込む。
  *
- * @returns {Promise<chrome.tabs.Tab|undefined>}
+ * - 削除されたルール: storage.sync からも削除する
+ * - 追加されたルール: storage.sync に書き込む。ただし storage.sync に既にあり、
+ *   この端末に設定がまだない場合（権限を許可して取り込んだ時など）は同期済みの設定を使う
+ * - 設定・期限が変わったルール: 同期済みの設定・期限と異なる場合だけ書き込む
+ * - storage.sync にないルール（以前の書き込みに失敗したもの）: 他の端末で削除された
+ *   ルール（syncTombstones）でなければ書き込み直す
+ *
+ * @param {Object} changes - storage.onChanged の changes
  */
-async function getCurrentTab() {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    return tab;
+async function pushLocalChanges(changes) {
+    const current = await chrome.storage.local.get({
+        enabledOrigins: [],
+        enabledPatterns: [],
+        siteSettings: {},
+        expirations: {},
+        keyboardCombos: DEFAULT_KEYBOARD_COMBOS,
+    });
+    const listOf = (key, side) =>
+        (changes[key] ? changes[key][side] || [] : current[key])
+            .map((entry) => (typeof entry === "string" ? entry : entry.origin));
+    const oldRules = [...listOf("enabledOrigins", "oldValue"), ...listOf("enabledPatterns", "oldValue")];
+    const newRules = [...listOf("enabledOrigins", "newValue"), ...listOf("enabledPatterns", "newValue")];
+
+    const synced = await getSyncedSites();
+    const syncedExpirations = await getSyncedExpirations();
+    const items = {};
+    const removedKeys = oldRules
+        .filter((rule) => !newRules.includes(rule) && rule in synced)
+        .map((rule) => SYNC_SITE_PREFIX + rule);
+
+    for (const rule of newRules) {
+        const isAdded = !oldRules.includes(rule);
+        // 他の端末で削除されたルール（同期されていないだけのルールは書き込み直す）
+        if (syncTombstones.has(rule)) continue;
+
+        if (isAdded && rule in synced && !current.siteSettings[rule]) {
+            await saveSiteSettings(rule, synced[rule]);
+            continue;
+        }
+
+        const settings = normalizeSettings(current.siteSettings[rule]);
+        const expiresAt = current.expirations[rule];
+        if (!(rule in synced) || !isSameSettings(settings, synced[rule]) ||
+            expiresAt !== syncedExpirations[rule]) {
+            items[SYNC_SITE_PREFIX + rule] = toSyncItem(settings, expiresAt);
+        }
+    }
+
+    if (changes.keyboardCombos) {
+        const { keyboardCombos } = await chrome.storage.sync.get("keyboardCombos");
+        if (keyboardCombos?.join() !== current.keyboardCombos.join()) {
+            items.keyboardCombos = current.keyboardCombos;
+        }
+    }
+
+    await writeSync(items, removedKeys);
 }
 
-// =====================================================
-// 6. タブ更新時の自動注入
-// =====================================================
-// ユーザーが有効化済みのサイトに再度アクセスした時、
-// ページの読み込み完了をトリガーに自動的に Content Script を注入する。
-//
-// chrome.tabs.onUpdated はタブの状態変化（URL変更、読み込み完了等）を監視する。
+/**
+ * 他の端末での storage.sync の変更をこの端末に反映する。
+ * @param {Object} changes - storage.onChanged の changes
+ */
+async function pullSyncChanges(changes) {
+    const localRules = [...(await getEnabledOrigins()), ...(await getEnabledPatterns())];
 
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    // status === "complete" はページの読み込みが完了したことを示す
-    if (changeInfo.status !== "complete" || !tab.url) return;
+    for (const [key, { newValue }] of Object.entries(changes)) {
+        if (!key.startsWith(SYNC_SITE_PREFIX)) continue;
 
-    const origin = extractOrigin(tab.url);
-    if (!origin) return;
+        const rule = key.slice(SYNC_SITE_PREFIX.length);
+        if (!isValidRule(rule)) continue;
+
+        if (newValue === undefined) {
+            // 他の端末で削除された
+            if (localRules.includes(rule)) await disableRule(rule);
+            syncTombstones.delete(rule);
+            continue;
+        }
+        syncTombstones.delete(rule);
+
+        const settings = normalizeSettings(newValue.settings);
+        const expiresAt = Number.isFinite(newValue.expiresAt) ? newValue.expiresAt : null;
+        if (!localRules.includes(rule)) {
+            await adoptSyncedRule(rule, settings, expiresAt);
+            continue;
+        }
+        if (!isSameSettings(settings, await getSiteSettings(rule))) {
+            await saveSiteSettings(rule, settings);
+            await refreshEnabledTabs(rule);
+        }
+        if (expiresAt !== ((await getExpirations())[rule] ?? null)) {
+            await setRuleExpiry(rule, expiresAt);
+        }
+    }
+
+    const combos = changes.keyboardCombos?.newValue;
+    if (Array.isArray(combos) && combos.join() !== (await getKeyboardCombos()).join()) {
+        await saveKeyboardCombos(combos);
+        await refreshAllEnabledTabs();
+    }
+}
 
+/**
+ * 同期を ON にした時に、この端末と storage.sync の内容をまとめる。
+ * どちらか一方にしかないルールは両方に残し、両方にあるルールは同期済みの設定を優先する。
+ */
+async function mergeWithSync() {
+    // 同期が OFF の間に記録した削除の目印は使わない（どちらか一方にしかないルールは両方に残す）
+    syncTombstones.clear();
+    const synced = await getSyncedSites();
+    const syncedExpirations = await getSyncedExpirations();
+    const expirations = await getExpirations();
     const origins = await getEnabledOrigins();
-    if (origins.includes(origin)) {
-        // 権限がまだ有効か確認
-        const hasPermission = await chrome.permissions.contains({
-            origins: [origin + "/*"],
-        });
+    const patterns = await getEnabledPatterns();
+    const items = {};
 
-        if (hasPermission) {
-            await injectContentScript(tabId);
-            await updateBadge(tabId, true);
+    for (const rule of [...origins, ...patterns]) {
+        if (rule in synced) {
+            if (!isSameSettings(synced[rule], await getSiteSettings(rule))) {
+                await saveSiteSettings(rule, synced[rule]);
+                await refreshEnabledTabs(rule);
+            }
+            if (syncedExpirations[rule] !== expirations[rule]) {
+                await setRuleExpiry(rule, syncedExpirations[rule] ?? null);
+            }
         } else {
-            // 権限が取り消されていたら、ストレージからも削除
-            const updated = origins.filter((o) => o !== origin);
-            await saveEnabledOrigins(updated);
+            items[SYNC_SITE_PREFIX + rule] = toSyncItem(await getSiteSettings(rule), expirations[rule]);
         }
     }
-});
 
-// =====================================================
-// 7. タブ切り替え時のバッジ更新
-// =====================================================
-// タブを切り替えた時にバッジの表示を更新する。
-// バッジはタブごとに設定されるので、新しいタブに切り替えた時に適切な状態を表示。
+    for (const [rule, settings] of Object.entries(synced)) {
+        if (!origins.includes(rule) && !patterns.includes(rule)) {
+            await adoptSyncedRule(rule, settings, syncedExpirations[rule]);
+        }
+    }
 
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
-    try {
-        const tab = await chrome.tabs.get(activeInfo.tabId);
-        if (!tab.url) return;
+    const { keyboardCombos } = await chrome.storage.sync.get("keyboardCombos");
+    if (Array.isArray(keyboardCombos)) {
+        await pullSyncChanges({ keyboardCombos: { newValue: keyboardCombos } });
+    } else {
+        items.keyboardCombos = await getKeyboardCombos();
+    }
 
-        const origin = extractOrigin(tab.url);
-        if (!origin) {
-            await updateBadge(activeInfo.tabId, false);
-            return;
+    await writeSync(items, []);
+}
+
+/**
+ * オプションページに表示する同期の状態を取得する。
+ * 同期されているルールごとに、この端末で権限が許可されているかを返す。
+ *
+ * @returns {Promise<Object>} { enabled, error, bytesInUse, quotaBytes, sites }
+ */
+async function getSyncStatus() {
+    const { syncEnabled, syncError } = await chrome.storage.local.get({
+        syncEnabled: false,
+        syncError: null,
+    });
+    const sites = [];
+    for (const rule of Object.keys(await getSyncedSites())) {
+        const granted = await chrome.permissions.contains({
+            origins: [toPermissionPattern(rule)],
+        });
+        sites.push({ rule, granted });
+    }
+
+    return {
+        enabled: syncEnabled,
+        error: syncError,
+        bytesInUse: await chrome.storage.sync.getBytesInUse(null),
+        quotaBytes: chrome.storage.sync.QUOTA_BYTES,
+        sites,
+    };
+}
+
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    // 先に積まれた書き込みが削除されたルールを書き戻さないよう、待たずに削除の目印を付ける
+    if (areaName === "sync") {
+        for (const [key, { newValue }] of Object.entries(changes)) {
+            if (key.startsWith(SYNC_SITE_PREFIX) && newValue === undefined) {
+                syncTombstones.add(key.slice(SYNC_SITE_PREFIX.length));
+            }
         }
+    }
 
-        const origins = await getEnabledOrigins();
-        const isEnabled = origins.includes(origin);
-        await updateBadge(activeInfo.tabId, isEnabled);
-    } catch {
-        // タブが存在しない場合
+    const isLocalChange = areaName === "local" &&
+        (haveRulesChanged(changes) || changes.siteSettings || changes.expirations || changes.keyboardCombos);
+    if (!isLocalChange && areaName !== "sync") return;
+    if (!(await isSyncEnabled())) return;
+
+    if (isLocalChange) {
+        enqueueSync(() => pushLocalChanges(changes));
+    } else {
+        enqueueSync(() => pullSyncChanges(changes));
     }
 });
 
 // =====================================================
-// 8. 権限付与時の自動有効化
+// 15. 無効化した操作の回数（バッジ表示）
 // =====================================================
-// chrome.permissions.request() はポップアップ側で呼ばれるが、
-// 権限ダイアログが表示される際にポップアップが閉じてしまうことがある。
-// その場合、ポップアップ側の後続処理（トグル完了）が実行されない。
-// このリスナーで権限付与を検知し、有効化処理を完了させる。
+// content.js は無効化したページの操作（preventDefault・選択の解除など）を数え、
+// relay.js を経由してフレームごとの累計を送ってくる（connectBridge を参照）。
+// タブごと・フレームごとの累計を storage.session に控え、合計をバッジに表示する。
+// Service Worker が停止しても、ブラウザを閉じるまでは数が残る。
+//
+//   blockedActions: { [tabId]: { [frameId]: 累計 } }
 
-chrome.permissions.onAdded.addListener(async (permissions) => {
-    if (!permissions.origins || permissions.origins.length === 0) return;
+// storage.session の書き込みを順番に行うためのキュー（複数のフレームから同時に届くため）
+let blockedActionsQueue = Promise.resolve();
 
-    for (const pattern of permissions.origins) {
-        // "https://example.com/*" → "https://example.com"
-        const origin = pattern.replace(/\/\*$/, "");
+/**
+ * storage.session の blockedActions を書き換える。
+ *
+ * @param {function(Object): void} mutate - 記録を直接書き換える関数
+ * @returns {Promise<void>}
+ */
+function updateBlockedActions(mutate) {
+    // 前の書き込みが失敗しても、以降の書き込みは続ける（失敗は呼び出し元に返す）
+    const update = blockedActionsQueue.catch(() => {}).then(async () => {
+        const { blockedActions = {} } = await chrome.storage.session.get("blockedActions");
+        mutate(blockedActions);
+        await chrome.storage.session.set({ blockedActions });
+    });
+    blockedActionsQueue = update;
+    return update;
+}
 
-        // 既に有効化済みなら何もしない（ポップアップ側で処理完了済み）
-        const origins = await getEnabledOrigins();
-        if (origins.includes(origin)) continue;
+/**
+ * タブで無効化した操作の合計を返す。
+ * @param {number} tabId - 対象のタブID
+ * @returns {Promise<number>}
+ */
+async function getBlockedActions(tabId) {
+    const { blockedActions = {} } = await chrome.storage.session.get("blockedActions");
+    return Object.values(blockedActions[tabId] ?? {}).reduce((total, count) => total + count, 0);
+}
 
-        // ストレージに保存
-        origins.push(origin);
-        await saveEnabledOrigins(origins);
+/**
+ * フレームの累計を記録し、バッジを更新する。
+ * バッジが出ていない（メインフレームが未解除の）タブでは、記録だけしてバッジは出さない。
+ *
+ * @param {number} tabId - 対象のタブID
+ * @param {number} frameId - 報告したフレームのID
+ * @param {number} total - そのフレームの累計
+ */
+async function recordBlockedActions(tabId, frameId, total) {
+    await updateBlockedActions((blockedActions) => {
+        blockedActions[tabId] = { ...blockedActions[tabId], [frameId]: total };
+    });
 
-        // 対象タブを見つけて Content Script を注入
-        const tabs = await chrome.tabs.query({ url: pattern });
-        for (const tab of tabs) {
-            await injectContentScript(tab.id);
-            await updateBadge(tab.id, true);
+    try {
+        const text = await chrome.action.getBadgeText({ tabId: tabId });
+        if (text) await updateBadge(tabId, true);
+    } catch {
+        // タブが既に閉じられている場合
+    }
+}
+
+/**
+ * タブ（frameId を指定した場合はそのフレームだけ）の記録を消す。
+ * @param {number} tabId - 対象のタブID
+ * @param {number} [frameId] - 対象のフレームID
+ * @returns {Promise<void>}
+ */
+function forgetBlockedActions(tabId, frameId) {
+    return updateBlockedActions((blockedActions) => {
+        if (frameId === undefined || frameId === 0) {
+            delete blockedActions[tabId];
+        } else if (blockedActions[tabId]) {
+            delete blockedActions[tabId][frameId];
         }
+    });
+}
+
+// ページ（フレーム）を移動したら、新しいページの content.js は 0 から数え直す。
+// メインフレームの移動では iframe もなくなるので、タブの記録をすべて消し、
+// 読み込みが終わるまで前のページの回数が残らないようにバッジも表示し直す。
+// 記録を消せなくても古い数がバッジに残るだけなので、失敗は無視する
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+    try {
+        await forgetBlockedActions(details.tabId, details.frameId);
+        if (details.frameId !== 0) return;
+
+        const text = await chrome.action.getBadgeText({ tabId: details.tabId });
+        if (text) await updateBadge(details.tabId, true);
+    } catch {
+        // タブが既に閉じられている場合など
     }
 });
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetBlockedActions(tabId).catch(() => {});
+});
@@ -3,61 +3,364 @@
  *
  * シンプル・軽量・強力な制限解除スクリプト。
  * Allow Right-Click を参考に、プロトタイプメソッドの無効化とスマートなDOM操作を組み合わせる。
+ *
+ * 解除する機能はサイトごとに選べる。Background Script が
+ * window.__enableRightClickSettings へ設定を書き込むか、注入後に
+ * window.__enableRightClick.configure(settings) を呼んで設定を渡す。
+ * 接続後は ISOLATED ワールドの relay.js を経由して、設定の変更を受け取り、
+ * 無効化した操作の回数を送る（7. 拡張機能との通信）。
+ *
+ * document_start で登録された Content Script として、設定が届く前に動くこともある。
+ * そのため各機能のフックは最初にすべて仕掛けておき、ON/OFF は呼ばれた時点の
+ * 設定で判定する。ページのスクリプトが早い段階でメソッドを控えたり、
+ * リスナーを登録したりしても、フックを経由させられる。
+ * （開発者ツールの検出の無効化だけは、ON になった時に組み込む。2-7 を参照）
+ *
+ * 書き換えたプロパティや登録したリスナーはすべて記録しておき、
+ * window.__enableRightClick.teardown() でリロードせずに元に戻せる。
  */
 
 (function () {
   "use strict";
 
   // --- 二重実行防止 ---
-  if (window.__enableRightClickInjected) return;
+  // document_start で登録済みのスクリプトが先に動いている場合は、設定だけを反映する
+  if (window.__enableRightClickInjected) {
+    window.__enableRightClick?.configure(window.__enableRightClickSettings);
+    return;
+  }
   window.__enableRightClickInjected = true;
 
-  // =====================================================
-  // 1. プロトタイプメソッドの無効化 (最強の対策)
-  // =====================================================
-  // サイト側が addEventListener でどのようなリスナーを登録しても、
-  // そこで呼ばれる preventDefault() を「何もしない関数」に書き換えてしまえば、
-  // ブラウザのデフォルト動作（右クリックメニュー、コピー等）は阻止されない。
+  // --- 設定の読み込み ---
+  // 設定がまだ届いていない場合（document_start 直後など）は既定で OFF の機能を除いて有効として扱う
+  let settings = window.__enableRightClickSettings || {};
 
-  const nullFn = function () { };
+  // 既定で OFF の機能（features.js の FEATURES で default: false のもの）
+  const DEFAULT_OFF_FEATURES = ["media", "print", "antiDevtools"];
 
-  // MouseEvent.prototype.preventDefault を無効化
-  // (Method 12: Event Blocking, Method 2, 3, 4 etc. 全般に有効)
-  try {
-    Object.defineProperty(MouseEvent.prototype, "preventDefault", {
-      value: nullFn,
+  // teardown 後もページ側に残るラッパー（on* ハンドラー等）を無効にするためのフラグ
+  let active = true;
+  const isOn = (key) =>
+    active && (key in settings ? settings[key] !== false : !DEFAULT_OFF_FEATURES.includes(key));
+
+  // 保護するショートカットの設定が届くまでの既定値（features.js の DEFAULT_KEYBOARD_COMBOS と同じ）
+  const DEFAULT_KEYBOARD_COMBOS = [
+    "Ctrl+C", "Ctrl+A", "Ctrl+V", "Ctrl+X", "Ctrl+S", "Ctrl+P", "Ctrl+U", "F12",
+  ];
+
+  // 機能ごとに制限を解除するイベント
+  const FEATURE_EVENTS = {
+    rightClick: ["contextmenu"],
+    selection: ["selectstart"],
+    clipboard: ["copy", "cut", "paste"],
+    drag: ["dragstart", "drag"],
+    keyboard: ["keydown", "keyup", "keypress"],
+  };
+
+  // 入力欄（forms）で制限を解除するイベント。
+  // forms が ON なら、入力欄の上では対応する機能（clipboard 等）が OFF でも解除する。
+  // input イベントそのものは止めない（React / Vue の制御コンポーネントが値を受け取れなくなる）
+  const FORM_EVENTS = new Set(["paste", "drop", "beforeinput", "contextmenu"]);
+
+  // beforeinput のうち、貼り付け・ドロップによる入力（通常のタイピングは対象外）
+  const FORM_INPUT_TYPES = new Set(["insertFromPaste", "insertFromPasteAsQuotation", "insertFromDrop"]);
+
+  // イベント名 → 機能キー（"contextmenu" → "rightClick" 等）
+  const EVENT_FEATURES = {};
+  for (const [key, types] of Object.entries(FEATURE_EVENTS)) {
+    types.forEach((type) => {
+      EVENT_FEATURES[type] = key;
+    });
+  }
+
+  // --- 後始末用の記録 ---
+  // teardown() で逆順に実行して、ページを注入前の状態に戻す関数の一覧
+  const restorers = [];
+
+  // --- 解除の記録 ---
+  // ポップアップの「制限の検出」で、このページが何を使い、何を無効化したかを表示するために数える。
+  // リスナーの数は注入後に登録されたものだけ（それより前の登録は数えられない）。
+  const stats = {
+    listeners: {}, // イベント名 → ページが登録したリスナーの数
+    blocked: {}, // イベント名 → 無効化したキャンセル（preventDefault・return false 等）の回数
+    selectionWipes: 0, // 無効化した選択の解除の回数
+  };
+
+  function countStat(group, type) {
+    stats[group][type] = (stats[group][type] || 0) + 1;
+    // バッジに出すのは無効化した回数だけなので、リスナーの登録では送らない
+    if (group === "blocked") reportBlocked();
+  }
+
+  // --- 拡張機能との通信の状態（7 を参照） ---
+  let bridgePort = null; // relay.js から受け取った MessagePort
+  let reportTimer = null;
+
+  /**
+   * オブジェクトのプロパティを書き換え、元に戻す関数を記録する。
+   * プロトタイプに自前のプロパティがない（継承している）場合は、
+   * 元に戻す時にプロパティを削除して継承に戻す。
+   */
+  function overrideProperty(target, name, value) {
+    overrideDescriptor(target, name, {
+      value: value,
       writable: true,
       configurable: true,
     });
-  } catch (e) {
-    console.error("[EnableRightClick] MouseEvent override failed", e);
   }
 
-  // ClipboardEvent.prototype.preventDefault を無効化
-  // (Copy/Paste 制限対策)
+  /**
+   * overrideProperty のディスクリプタ版（ゲッター・セッターを差し替える場合に使う）。
+   */
+  function overrideDescriptor(target, name, descriptor) {
+    const original = Object.getOwnPropertyDescriptor(target, name);
+    Object.defineProperty(target, name, descriptor);
+    restorers.push(() => {
+      if (original) {
+        Object.defineProperty(target, name, original);
+      } else {
+        delete target[name];
+      }
+    });
+  }
+
+  // 1 で差し替える前の addEventListener / removeEventListener
+  // （自分のリスナーはページのリスナーと違って包む必要がない）
+  const originalAddEventListener = EventTarget.prototype.addEventListener;
+  const originalRemoveEventListener = EventTarget.prototype.removeEventListener;
+
+  /**
+   * イベントリスナーを登録し、解除する関数を記録する。
+   */
+  function listen(target, type, handler, options) {
+    originalAddEventListener.call(target, type, handler, options);
+    restorers.push(() => originalRemoveEventListener.call(target, type, handler, options));
+  }
+
+  // =====================================================
+  // 1. イベントリスナーの差し替え (最強の対策)
+  // =====================================================
+  // ページが addEventListener で登録する contextmenu・copy 等のリスナーを包み、
+  // そのイベントでは preventDefault() / returnValue = false を「何もしない」ようにする。
+  // ブラウザのデフォルト動作（右クリックメニュー、コピー等）は阻止されなくなるが、
+  // リスナーそのものは動くので、ページの他の処理は壊さない。
+  //
+  // MouseEvent.prototype.preventDefault をまるごと書き換えると、
+  // click で preventDefault する SPA のリンクや独自のウィジェットまで壊れるため、
+  // 対象は制限に使われるイベントだけに絞り、それ以外のリスナーには手を付けない。
+
+  /**
+   * 機能が ON の間は何もせず、OFF の間は元のメソッドを呼ぶ関数を作る。
+   * 設定は configure() で後から変わるため、呼ばれるたびに判定する。
+   * onNeutralized は何もしなかった時に呼ばれる（解除の記録用）。
+   */
+  function neutralizeWhen(check, original, onNeutralized) {
+    return function (...args) {
+      if (check()) {
+        onNeutralized?.();
+        return;
+      }
+      return original.apply(this, args);
+    };
+  }
+
+  // リスナーを包むイベント（キーボードは 2 で扱う）
+  // mousedown / mouseup は右ボタンの場合だけ対象にする（isRestrictedEvent を参照）
+  const LISTENER_EVENTS = new Set([
+    ...["rightClick", "selection", "clipboard", "drag"].flatMap((key) => FEATURE_EVENTS[key]),
+    ...FORM_EVENTS,
+    "mousedown",
+    "mouseup",
+  ]);
+
+  /**
+   * イベント名に対応する機能が ON かを判定する。
+   * どの機能にも属さないイベント（drop 等）は false。
+   */
+  function isFeatureEventOn(type) {
+    return type in EVENT_FEATURES && isOn(EVENT_FEATURES[type]);
+  }
+
+  // 貼り付け等の制限を解除する入力欄の type
+  const TEXT_INPUT_TYPES = new Set(["text", "email", "password", "search", "tel", "url", "number"]);
+
+  /**
+   * 文字を入力できる欄（テキスト系の input、textarea、contenteditable）かを判定する。
+   */
+  function isFormField(el) {
+    if (el instanceof HTMLTextAreaElement) return true;
+    if (el instanceof HTMLInputElement) return TEXT_INPUT_TYPES.has(el.type);
+    return el instanceof HTMLElement && el.isContentEditable;
+  }
+
+  function isMediaElement(el) {
+    return el instanceof HTMLMediaElement;
+  }
+
+  /**
+   * イベントのキャンセルを無視すべきか（対応する機能が ON か）を判定する。
+   */
+  function isRestrictedEvent(event) {
+    if (FORM_EVENTS.has(event.type) && isOn("forms")) {
+      // shadow root の中の入力欄も、リターゲット前の本来の対象で判定する
+      const target = event.composedPath()[0] ?? event.target;
+      if (isFormField(target) &&
+        (event.type !== "beforeinput" || FORM_INPUT_TYPES.has(event.inputType))) {
+        return true;
+      }
+    }
+    // media が ON なら、動画・音声の上では右クリックメニューを出す
+    if (event.type === "contextmenu" && isOn("media") &&
+      isMediaElement(event.composedPath()[0] ?? event.target)) {
+      return true;
+    }
+    if (event.type === "mousedown" || event.type === "mouseup") {
+      return event.button === 2 && isOn("rightClick");
+    }
+    return isFeatureEventOn(event.type);
+  }
+
+  const returnValueDescriptor = Object.getOwnPropertyDescriptor(Event.prototype, "returnValue");
+
+  // キャンセルを無視したイベント（複数のリスナーがキャンセルしても、1回の操作として数える）
+  const blockedEvents = new WeakSet();
+
+  /**
+   * ページがキャンセルしようとしたイベントを、無効化した操作として数える（イベントごとに1回）。
+   */
+  function countBlockedEvent(event) {
+    if (blockedEvents.has(event)) return;
+    blockedEvents.add(event);
+    countStat("blocked", event.type);
+  }
+
+  /**
+   * イベントのインスタンスに preventDefault と returnValue を上書きして、
+   * キャンセルできないようにする。プロトタイプは書き換えないので、
+   * 他のイベントには影響しない。
+   * 無効化した操作として数えるのは、ページが実際にキャンセルしようとした時だけ。
+   */
+  function shieldEvent(event) {
+    if (Object.hasOwn(event, "preventDefault")) return;
+    try {
+      Object.defineProperty(event, "preventDefault", {
+        value: neutralizeWhen(
+          () => isRestrictedEvent(event),
+          Event.prototype.preventDefault.bind(event),
+          () => countBlockedEvent(event)
+        ),
+        configurable: true,
+      });
+      // returnValue = false（旧来のキャンセル方法）も preventDefault と同じ効果がある
+      Object.defineProperty(event, "returnValue", {
+        configurable: true,
+        get() {
+          return returnValueDescriptor.get.call(event);
+        },
+        set(value) {
+          if (value === false && isRestrictedEvent(event)) {
+            countBlockedEvent(event);
+            return;
+          }
+          returnValueDescriptor.set.call(event, value);
+        },
+      });
+    } catch (e) { }
+  }
+
+  // ページのリスナー → (種類と capture の組み合わせ → ラッパー)
+  // removeEventListener で同じラッパーを外せるように控えておく
+  const listenerWrappers = new WeakMap();
+
+  function listenerKey(type, options) {
+    const capture = typeof options === "boolean" ? options : Boolean(options?.capture);
+    return type + ":" + capture;
+  }
+
+  /**
+   * ページのリスナーを包むラッパーを取得する（同じ組み合わせには同じラッパーを返す）。
+   * ラッパーはイベントをキャンセルできないようにしてから元のリスナーを呼ぶ。
+   */
+  function getListenerWrapper(listener, type, options) {
+    let wrappers = listenerWrappers.get(listener);
+    if (!wrappers) {
+      wrappers = new Map();
+      listenerWrappers.set(listener, wrappers);
+    }
+
+    const key = listenerKey(type, options);
+    if (!wrappers.has(key)) {
+      wrappers.set(key, function (event) {
+        if (isRestrictedEvent(event)) shieldEvent(event);
+        // handleEvent を持つオブジェクトもリスナーとして登録できる
+        return typeof listener === "function"
+          ? listener.call(this, event)
+          : listener.handleEvent(event);
+      });
+    }
+    return wrappers.get(key);
+  }
+
   try {
-    Object.defineProperty(ClipboardEvent.prototype, "preventDefault", {
-      value: nullFn,
+    overrideProperty(EventTarget.prototype, "addEventListener", function (type, listener, options) {
+      if (listener && (LISTENER_EVENTS.has(type) || FEATURE_EVENTS.keyboard.includes(type))) {
+        countStat("listeners", type);
+      }
+      if (!LISTENER_EVENTS.has(type) || !listener ||
+        (typeof listener !== "function" && typeof listener !== "object")) {
+        return originalAddEventListener.call(this, type, listener, options);
+      }
+      return originalAddEventListener.call(this, type, getListenerWrapper(listener, type, options), options);
+    });
+
+    // teardown 後もページにはラッパーが登録されたまま残るため、removeEventListener は元に戻さない。
+    // 戻すと SPA のアンマウント等でリスナーを外せなくなり、再登録のたびに重複する
+    // （ラッパーは teardown 後は元のリスナーをそのまま呼ぶ）
+    Object.defineProperty(EventTarget.prototype, "removeEventListener", {
+      value: function (type, listener, options) {
+        const wrapper = listener && listenerWrappers.get(listener)?.get(listenerKey(type, options));
+        if (wrapper) originalRemoveEventListener.call(this, type, wrapper, options);
+        // 差し替える前に登録されたリスナーはラッパーを通っていない
+        return originalRemoveEventListener.call(this, type, listener, options);
+      },
       writable: true,
       configurable: true,
     });
   } catch (e) {
-    console.error("[EnableRightClick] ClipboardEvent override failed", e);
+    console.error("[EnableRightClick] addEventListener override failed", e);
   }
 
+  // 注入より前に登録されたリスナーは包めないため、
+  // window のキャプチャでイベントを最初に受け取り、インスタンスを先に守っておく
+  LISTENER_EVENTS.forEach((type) => {
+    listen(
+      window,
+      type,
+      (e) => {
+        if (isRestrictedEvent(e)) shieldEvent(e);
+      },
+      { capture: true }
+    );
+  });
+
   // Selection.prototype.removeAllRanges を無効化
   // (Method 10: 選択解除対策)
   try {
-    Object.defineProperty(Selection.prototype, "removeAllRanges", {
-      value: nullFn,
-      writable: true,
-      configurable: true,
-    });
-    Object.defineProperty(Selection.prototype, "empty", {
-      value: nullFn,
-      writable: true,
-      configurable: true,
-    });
+    const isSelectionOn = () => isOn("selection");
+    const countWipe = () => {
+      stats.selectionWipes++;
+      reportBlocked();
+    };
+    overrideProperty(
+      Selection.prototype,
+      "removeAllRanges",
+      neutralizeWhen(isSelectionOn, Selection.prototype.removeAllRanges, countWipe)
+    );
+    overrideProperty(
+      Selection.prototype,
+      "empty",
+      neutralizeWhen(isSelectionOn, Selection.prototype.empty, countWipe)
+    );
   } catch (e) {
     console.error("[EnableRightClick] Selection override failed", e);
   }
@@ -65,84 +368,1016 @@
   // =====================================================
   // 2. イベントリスナーのブロック (保険)
   // =====================================================
-  // プロトタイプ無効化が効かないケース（return false 等）や、
-  // stopPropagation() でイベントが親に伝わらないのを防ぐため、
+  // キーボード操作は preventDefault 以外の方法（return false 等）でも妨害されるため、
   // キャプチャリングフェーズでイベントを捕捉して伝播を止める。
+  // ただし止めるのは保護対象のショートカット（Ctrl+C 等）だけで、
+  // それ以外のキーはエディタやゲームのショートカットとしてページに届ける。
+  // 右クリック・選択・コピー・ドラッグは 1 と 2-2 でキャンセルだけを無効化するので、
+  // ページ全体のイベント伝播は止めない。
 
-  const BLOCKED_EVENTS = [
-    "contextmenu",
-    "selectstart",
-    "copy",
-    "cut",
-    "paste",
-    "dragstart",
-    "drag",
-    "keydown",
-    "keyup",
-    "keypress",
-    "input", // Method 14: 文字数制限対策
-  ];
+  /**
+   * "Ctrl+Shift+I" 形式のショートカットを比較用のオブジェクトに変換する。
+   * Ctrl は macOS の Cmd（metaKey）も含む。
+   */
+  function parseKeyCombo(combo) {
+    const parts = String(combo).split("+");
+    const key = parts.pop().toUpperCase();
+    const modifiers = parts.map((part) => part.toLowerCase());
+    return {
+      key: key,
+      ctrl: modifiers.includes("ctrl"),
+      alt: modifiers.includes("alt"),
+      shift: modifiers.includes("shift"),
+    };
+  }
+
+  let protectedCombos = [];
+
+  function updateKeyboardCombos() {
+    protectedCombos = (settings.keyboardCombos || DEFAULT_KEYBOARD_COMBOS).map(parseKeyCombo);
+  }
+  updateKeyboardCombos();
+
+  // 印刷（print）が ON なら、保護するショートカットの設定に関係なく通す（2-6）
+  const PRINT_COMBO = parseKeyCombo("Ctrl+P");
+
+  // 開発者ツールの妨害（antiDevtools）が ON なら、同じく開発者ツール・ソース表示のキーを通す（2-7）
+  const DEVTOOLS_COMBOS = ["F12", "Ctrl+Shift+I", "Ctrl+Shift+J", "Ctrl+Shift+C", "Ctrl+U"].map(parseKeyCombo);
+
+  /**
+   * キーイベントがショートカットに一致するかを判定する。
+   * Alt やキーボード配列で e.key が変わる場合に備えて、英数字は e.code でも比較する。
+   */
+  function matchesCombo(e, combo) {
+    const key = (e.key || "").toUpperCase();
+    return combo.ctrl === (e.ctrlKey || e.metaKey) &&
+      combo.alt === e.altKey &&
+      combo.shift === e.shiftKey &&
+      (combo.key === key ||
+        e.code === "Key" + combo.key ||
+        e.code === "Digit" + combo.key);
+  }
+
+  /**
+   * キーイベントが保護対象のショートカットかを判定する。
+   */
+  function isProtectedCombo(e) {
+    if (isOn("print") && matchesCombo(e, PRINT_COMBO)) return true;
+    if (isOn("antiDevtools") && DEVTOOLS_COMBOS.some((combo) => matchesCombo(e, combo))) return true;
+    return isOn("keyboard") && protectedCombos.some((combo) => matchesCombo(e, combo));
+  }
 
   // window と document の両方でキャプチャ
+  // ページより先に登録しておくため、OFF の時もリスナーの登録だけはしておく
+  // ページのリスナーを呼ばないので、キャンセルしようとしたかは分からず、無効化した操作には数えない
   [window, document].forEach((target) => {
-    BLOCKED_EVENTS.forEach((type) => {
+    FEATURE_EVENTS.keyboard.forEach((type) => {
       try {
-        target.addEventListener(
+        listen(
+          target,
           type,
           (e) => {
+            if (!isProtectedCombo(e)) return;
             e.stopImmediatePropagation();
-            // e.preventDefault() は我々のオーバーライドで無効化されているが、
-            // 念のためここでもイベントの伝播を完全に止める。
           },
           { capture: true }
         );
       } catch (e) { }
     });
+  });
 
-    // mousedown / mouseup はクリック動作に影響するため、
-    // stopPropagation はせず、プロパティの上書きのみ行う（念のため）
-    ["mousedown", "mouseup"].forEach((type) => {
+  // =====================================================
+  // 2-2. インラインハンドラー・on* プロパティの無効化
+  // =====================================================
+  // <body oncontextmenu="return false"> のようなインライン属性や、
+  // document.oncontextmenu = ... のようなプロパティ代入で登録されたハンドラーは、
+  // preventDefault を呼ばずに return false で既定の動作を止めるため、
+  // プロトタイプの書き換えでは防げない。
+  // 伝播を止める代わりに、対象のイベントのハンドラーそのものを動かさないようにする。
+
+  // ハンドラーを無効化するイベント（キーボードは 2 で扱う）
+  // onmousedown の return false では右クリックメニューは止まらないため、mousedown / mouseup は含めない
+  const HANDLER_EVENTS = [...LISTENER_EVENTS].filter(
+    (type) => type !== "mousedown" && type !== "mouseup"
+  );
+
+  // ページのハンドラーを包んだラッパー → 元のハンドラー（getter で元の関数を返すため）
+  const handlerWrappers = new WeakMap();
+
+  /**
+   * on* プロパティのセッターを差し替え、代入されたハンドラーをラッパーで包む。
+   * ラッパーは機能が ON の間はハンドラーを呼ばないため、return false も効かない。
+   * ゲッターは元のハンドラーを返すので、ページからは違いが見えない。
+   * ハンドラーを呼ばないので、キャンセルしようとしたかは分からず、無効化した操作には数えない。
+   */
+  function trapHandlerProperty(target, type) {
+    const prop = "on" + type;
+    const descriptor = Object.getOwnPropertyDescriptor(target, prop);
+    if (!descriptor?.set || !descriptor.configurable) return;
+
+    overrideDescriptor(target, prop, {
+      configurable: true,
+      enumerable: descriptor.enumerable,
+      get() {
+        const current = descriptor.get.call(this);
+        return handlerWrappers.get(current) ?? current;
+      },
+      set(handler) {
+        if (typeof handler !== "function") {
+          descriptor.set.call(this, handler);
+          return;
+        }
+        const wrapper = function (event) {
+          if (isRestrictedEvent(event)) return;
+          return handler.call(this, event);
+        };
+        handlerWrappers.set(wrapper, handler);
+        descriptor.set.call(this, wrapper);
+      },
+    });
+  }
+
+  // Window はグローバルオブジェクトなので、on* プロパティはプロトタイプではなく
+  // window 自身に定義されている
+  [HTMLElement.prototype, SVGElement.prototype, Document.prototype, window].forEach((target) => {
+    HANDLER_EVENTS.forEach((type) => {
       try {
-        target.addEventListener(
-          type,
-          (e) => {
-            // イベントオブジェクトの preventDefault メソッドを
-            // インスタンスレベルでも無効化しておく
-            e.preventDefault = nullFn;
-          },
-          { capture: true }
+        trapHandlerProperty(target, type);
+      } catch (e) {
+        console.error("[EnableRightClick] on" + type + " trap failed", e);
+      }
+    });
+  });
+
+  // 注入前に代入済みのハンドラーは、セッターを通し直してラッパーで包む
+  [window, document, document.documentElement, document.body].forEach((target) => {
+    HANDLER_EVENTS.forEach((type) => {
+      const handler = target?.["on" + type];
+      if (typeof handler === "function" && !target.hasAttribute?.("on" + type)) {
+        target["on" + type] = handler;
+      }
+    });
+  });
+
+  // --- インライン属性の削除 ---
+  // 属性として書かれたハンドラーはパーサーが直接登録するためセッターを通らない。
+  // 属性を削除するとハンドラーも外れるので、要素の追加・属性の変更を監視して削除する。
+  // teardown や機能の OFF で元に戻せるように、削除した値は控えておく。
+
+  const INLINE_ATTRIBUTES = HANDLER_EVENTS.map((type) => "on" + type);
+
+  // 要素 → (属性名 → 値)
+  const removedAttributes = new Map();
+
+  /**
+   * root とその子孫から、機能が ON のイベントのインライン属性を削除する。
+   * 入力欄のイベント（onpaste 等）は、機能が OFF でも forms が ON なら
+   * 属性を残したままハンドラーをラッパーで包み直す。ラッパーは入力欄の上の
+   * イベントだけを無視するので、それ以外の場所ではページのハンドラーが動く。
+   */
+  function scrubInlineHandlers(root) {
+    if (!(root instanceof Element)) return;
+
+    const selector = INLINE_ATTRIBUTES.map((name) => `[${name}]`).join(",");
+    for (const el of [root, ...root.querySelectorAll(selector)]) {
+      for (const name of INLINE_ATTRIBUTES) {
+        if (!el.hasAttribute(name)) continue;
+
+        const type = name.slice(2);
+        if (!isFeatureEventOn(type)) {
+          if (FORM_EVENTS.has(type) && isOn("forms")) el[name] = el[name];
+          continue;
+        }
+
+        if (!removedAttributes.has(el)) removedAttributes.set(el, new Map());
+        removedAttributes.get(el).set(name, el.getAttribute(name));
+        el.removeAttribute(name);
+      }
+    }
+  }
+
+  /**
+   * 要素から削除したインライン属性の名前を返す（ポップアップの「制限の検出」で、
+   * 削除した属性と後から代入されたハンドラーを二重に数えないために scanner.js が使う）。
+   */
+  function getRemovedHandlers(el) {
+    return [...(removedAttributes.get(el)?.keys() ?? [])];
+  }
+
+  /**
+   * 削除したインライン属性を元に戻す。
+   * all が false の場合は、機能が OFF になったイベントの属性だけを戻す。
+   */
+  function restoreInlineHandlers(all) {
+    removedAttributes.forEach((attributes, el) => {
+      attributes.forEach((value, name) => {
+        if (!all && isFeatureEventOn(name.slice(2))) return;
+        el.setAttribute(name, value);
+        attributes.delete(name);
+      });
+      if (attributes.size === 0) removedAttributes.delete(el);
+    });
+  }
+
+  const inlineObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === "attributes") {
+        scrubInlineHandlers(mutation.target);
+      } else {
+        mutation.addedNodes.forEach(scrubInlineHandlers);
+      }
+    }
+  });
+  inlineObserver.observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: INLINE_ATTRIBUTES,
+  });
+  scrubInlineHandlers(document.documentElement);
+
+  restorers.push(() => {
+    inlineObserver.disconnect();
+    restoreInlineHandlers(true);
+  });
+
+  // =====================================================
+  // 2-3. 入力欄の制限解除
+  // =====================================================
+  // 貼り付け・ドロップ・右クリックは 1 と 2-2 で扱う。ここでは属性による妨害を外す。
+  //
+  // - autocomplete="off": ブラウザの自動入力を拒否する。属性を外し、OFF や teardown で戻す
+  // - readonly の付け外し: Ctrl+V を押した瞬間やフォーカス中だけ readonly にして
+  //   貼り付けを拒否する。フォーカス中の入力欄に後から付けられた readonly は外す
+  //   （ページが元々 readonly にしている入力欄には触れない）
+
+  // autocomplete="off" を外した要素 → 元の値
+  const removedAutocomplete = new Map();
+
+  /**
+   * root とその子孫の入力欄・フォームから autocomplete="off" を外す。
+   */
+  function scrubFormFields(root) {
+    if (!(root instanceof Element) || !isOn("forms")) return;
+
+    for (const el of [root, ...root.querySelectorAll("[autocomplete]")]) {
+      if (!(el instanceof HTMLFormElement) && !isFormField(el)) continue;
+
+      const value = el.getAttribute("autocomplete");
+      if (value?.trim().toLowerCase() !== "off") continue;
+
+      removedAutocomplete.set(el, value);
+      el.removeAttribute("autocomplete");
+    }
+  }
+
+  /**
+   * 外した autocomplete 属性を元に戻す。
+   */
+  function restoreFormFields() {
+    removedAutocomplete.forEach((value, el) => el.setAttribute("autocomplete", value));
+    removedAutocomplete.clear();
+  }
+
+  const formObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === "childList") {
+        mutation.addedNodes.forEach(scrubFormFields);
+      } else if (mutation.attributeName === "autocomplete") {
+        scrubFormFields(mutation.target);
+      } else if (
+        mutation.oldValue === null &&
+        mutation.target === document.activeElement &&
+        isFormField(mutation.target) &&
+        isOn("forms")
+      ) {
+        // フォーカス中に readonly が付けられた
+        mutation.target.removeAttribute("readonly");
+      }
+    }
+  });
+  formObserver.observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeOldValue: true,
+    attributeFilter: ["autocomplete", "readonly"],
+  });
+  scrubFormFields(document.documentElement);
+
+  restorers.push(() => {
+    formObserver.disconnect();
+    restoreFormFields();
+  });
+
+  // =====================================================
+  // 2-4. 動画・音声の制限解除
+  // =====================================================
+  // 独自のプレーヤーを使うサイトは、ネイティブのコントロールを隠したり、
+  // controlsList="nodownload" や disablePictureInPicture でブラウザの機能を止めたりする。
+  // media が ON の間は、<video> / <audio> に次の変更を加える（OFF や teardown で戻す）。
+  //
+  // - controls を付けてネイティブのコントロールを表示する
+  // - controlsList から nodownload / noremoteplayback を取り除く
+  // - disablepictureinpicture / disableremoteplayback 属性を外す
+  //
+  // 右クリックメニューは 1 と 2-2 で扱う（isRestrictedEvent を参照）。
+
+  const MEDIA_ATTRIBUTES = ["controls", "controlslist", "disablepictureinpicture", "disableremoteplayback"];
+
+  // 取り除く controlsList のトークン
+  const BLOCKED_CONTROLS = ["nodownload", "noremoteplayback"];
+
+  // 書き換えた要素 → (属性名 → 元の値。なかった場合は null)
+  const originalMediaAttributes = new Map();
+
+  /**
+   * root とその子孫の <video> / <audio> の制限を外す。
+   */
+  function scrubMedia(root) {
+    if (!(root instanceof Element) || !isOn("media")) return;
+
+    const media = isMediaElement(root) ? [root] : root.querySelectorAll("video, audio");
+    for (const el of media) {
+      if (!originalMediaAttributes.has(el)) {
+        originalMediaAttributes.set(
+          el,
+          new Map(MEDIA_ATTRIBUTES.map((name) => [name, el.getAttribute(name)]))
         );
-      } catch (e) { }
+      }
+
+      if (!el.hasAttribute("controls")) el.setAttribute("controls", "");
+      if (BLOCKED_CONTROLS.some((token) => el.controlsList?.contains(token))) {
+        el.controlsList.remove(...BLOCKED_CONTROLS);
+      }
+      if (el.hasAttribute("disablepictureinpicture")) el.removeAttribute("disablepictureinpicture");
+      if (el.hasAttribute("disableremoteplayback")) el.removeAttribute("disableremoteplayback");
+    }
+  }
+
+  /**
+   * 書き換えた属性を元に戻す。
+   */
+  function restoreMedia() {
+    originalMediaAttributes.forEach((attributes, el) => {
+      attributes.forEach((value, name) => {
+        if (value === null) {
+          el.removeAttribute(name);
+        } else {
+          el.setAttribute(name, value);
+        }
+      });
+    });
+    originalMediaAttributes.clear();
+  }
+
+  // ページが後から属性を付け直したり、プレーヤーを差し替えたりしても外し直す
+  // （外した時の変更で再び呼ばれても、すでに外れているので何もしない）
+  const mediaObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === "attributes") {
+        scrubMedia(mutation.target);
+      } else {
+        mutation.addedNodes.forEach(scrubMedia);
+      }
+    }
+  });
+  mediaObserver.observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: MEDIA_ATTRIBUTES,
+  });
+  scrubMedia(document.documentElement);
+
+  restorers.push(() => {
+    mediaObserver.disconnect();
+    restoreMedia();
+  });
+
+  /**
+   * ページ内の動画・音声のソースを返す（ポップアップ表示用）。
+   * blob: の URL（MediaSource によるストリーミング等）はページの外では開けないため、
+   * URL の代わりに streaming: true を返す。
+   */
+  function getMediaSources() {
+    return Array.from(document.querySelectorAll("video, audio"))
+      .filter((el) => el.currentSrc || el.src)
+      .map((el) => {
+        const url = el.currentSrc || el.src;
+        const streaming = url.startsWith("blob:") || url.startsWith("mediasource:");
+        return {
+          kind: el.tagName.toLowerCase(),
+          element: describeElement(el),
+          url: streaming ? null : url,
+          streaming: streaming,
+        };
+      });
+  }
+
+  // =====================================================
+  // 2-5. コピー内容の整理 (clean copy)
+  // =====================================================
+  // コピーを止めない代わりに、コピーされる内容を書き換えるサイトがある。
+  //
+  // - copy イベントで clipboardData.setData を呼び、「続きは…で読めます」等を付け足す
+  // - 見えない要素（display: none や 0px の文字等）やゼロ幅文字を本文に混ぜておく
+  // - DOM の順序をばらばらにして、CSS で正しい順に並べて見せる
+  // - copy の後に navigator.clipboard.writeText で上書きする
+  //
+  // cleanCopy が ON の間は、誰よりも先に（window のキャプチャで）選択範囲の
+  // 見えている文字だけから本文を組み立ててクリップボードに入れ、
+  // ページがその copy イベントで clipboardData を書き換えられないようにする。
+  // 書式（text/html）は入れず、プレーンテキストだけをコピーする。
+
+  // ゼロ幅文字・双方向テキストの制御文字・ソフトハイフン
+  // ZWNJ / ZWJ（U+200C・U+200D）は絵文字の合成やペルシア語・インドの文字に必要なので残す
+  const INVISIBLE_CHARS_RE = /[\u00AD\u200B\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+  // copy の直後にページが非同期でクリップボードを上書きするのを防ぐ時間（ミリ秒）
+  const CLEAN_COPY_GUARD_MS = 1000;
+  let lastCleanCopy = 0;
+
+  /**
+   * 要素の中の文字が画面に見えているかを判定する。
+   * スクリーンリーダー用の 1px の要素や、画面外に追い出された要素も見えないものとして扱う。
+   */
+  function isVisibleTextElement(el) {
+    if (el.checkVisibility && !el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })) {
+      return false;
+    }
+
+    const s = window.getComputedStyle(el);
+    if (s.display === "none" || s.visibility === "hidden") return false;
+    if (parseFloat(s.fontSize) === 0 || isTransparentColor(s.color)) return false;
+
+    const rect = el.getBoundingClientRect();
+    if (rect.width <= 1 && rect.height <= 1) return false;
+    if (rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0) return false;
+    return true;
+  }
+
+  /**
+   * 要素の文字の並びを決めるブロック要素（段落等）を返す。
+   */
+  function getBlockAncestor(el) {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      const display = window.getComputedStyle(node).display;
+      if (!display.startsWith("inline") && display !== "contents") return node;
+    }
+    return document.body;
+  }
+
+  /**
+   * 選択範囲から、見えている文字だけで本文を組み立てる。
+   * 段落ごとに改行し、段落の中では画面上の位置（上から下、左から右）の順に並べる。
+   *
+   * @returns {string|null} 本文。選択範囲がなければ null
+   */
+  function buildCleanSelectionText() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return null;
+
+    const visibility = new Map();
+    const isVisible = (el) => {
+      if (!visibility.has(el)) visibility.set(el, isVisibleTextElement(el));
+      return visibility.get(el);
+    };
+
+    // { block, text, top, left } の配列（段落ごとにまとめる前の断片）
+    const fragments = [];
+
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      const root = range.commonAncestorContainer;
+      const walker = document.createTreeWalker(
+        root.nodeType === Node.ELEMENT_NODE ? root : root.parentNode,
+        NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT
+      );
+
+      for (let node = walker.currentNode; node; node = walker.nextNode()) {
+        if (!range.intersectsNode(node)) continue;
+
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.tagName === "BR" && isVisible(node.parentElement)) {
+            fragments.push({ block: getBlockAncestor(node.parentElement), text: "\n", top: Infinity, left: 0 });
+          }
+          continue;
+        }
+
+        const parent = node.parentElement;
+        if (!parent || !isVisible(parent)) continue;
+
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+        let text = node.data.slice(start, end);
+        if (!window.getComputedStyle(parent).whiteSpace.startsWith("pre")) {
+          text = text.replace(/\s+/g, " ");
+        }
+        if (text === "") continue;
+
+        const part = document.createRange();
+        part.setStart(node, start);
+        part.setEnd(node, end);
+        const rect = part.getBoundingClientRect();
+        fragments.push({ block: getBlockAncestor(parent), text: text, top: rect.top, left: rect.left });
+      }
+    }
+
+    // 段落ごとにまとめ、段落の中は画面上の位置で並べ直す
+    // （改行の断片は元の並びの位置に残すため、同じ行の断片とは比べない）
+    const blocks = [];
+    for (const fragment of fragments) {
+      const last = blocks[blocks.length - 1];
+      if (last && last.block === fragment.block) {
+        last.fragments.push(fragment);
+      } else {
+        blocks.push({ block: fragment.block, fragments: [fragment] });
+      }
+    }
+
+    return blocks
+      .map(({ block, fragments: parts }) => {
+        if (window.getComputedStyle(block).direction === "ltr" && !parts.some((p) => p.text === "\n")) {
+          parts.sort((a, b) => Math.round(a.top) - Math.round(b.top) || a.left - b.left);
+        }
+        return parts.map((p) => p.text).join("").replace(/ *\n */g, "\n").trim();
+      })
+      .filter((text) => text !== "")
+      .join("\n")
+      .replace(INVISIBLE_CHARS_RE, "");
+  }
+
+  listen(
+    window,
+    "copy",
+    (e) => {
+      if (!isOn("cleanCopy") || !e.clipboardData) return;
+      // 入力欄の中の選択はページが書き換えられないので、ブラウザに任せる
+      if (isFormField(document.activeElement) && !document.activeElement.isContentEditable) return;
+
+      const text = buildCleanSelectionText();
+      if (text === null) return;
+
+      e.clipboardData.setData("text/plain", text);
+      // setData の内容は、イベントをキャンセルした時にだけクリップボードに入る
+      // （1 で preventDefault を無効化している場合があるため、元のメソッドを呼ぶ）
+      Event.prototype.preventDefault.call(e);
+
+      // 以降のページのリスナーが clipboardData を書き換えられないようにする
+      for (const name of ["setData", "clearData"]) {
+        Object.defineProperty(e.clipboardData, name, { value: function () { }, configurable: true });
+      }
+      lastCleanCopy = Date.now();
+    },
+    { capture: true }
+  );
+
+  // copy の直後の navigator.clipboard による上書きを無視する
+  // （Clipboard は安全なコンテキスト（https 等）でしか定義されないので、http のページでは何もしない）
+  try {
+    for (const name of typeof Clipboard !== "undefined" ? ["writeText", "write"] : []) {
+      const original = Clipboard.prototype[name];
+      overrideProperty(Clipboard.prototype, name, function (...args) {
+        if (isOn("cleanCopy") && Date.now() - lastCleanCopy < CLEAN_COPY_GUARD_MS) {
+          return Promise.resolve();
+        }
+        return original.apply(this, args);
+      });
+    }
+  } catch (e) {
+    console.error("[EnableRightClick] Clipboard override failed", e);
+  }
+
+  // =====================================================
+  // 2-6. 印刷の制限解除
+  // =====================================================
+  // 印刷や「PDF に保存」を妨げるサイトは、次のような方法でページを白紙にする。
+  //
+  // - @media print { body { display: none } } のような印刷用のスタイル
+  // - beforeprint でページを書き換え、afterprint で元に戻すリスナー
+  // - Ctrl+P の横取り（2 で PRINT_COMBO として通す）
+  //
+  // print が ON の間は、印刷の直前（beforeprint）にページ全体を隠す印刷用のルールを外し、
+  // ページの beforeprint / afterprint のリスナーには届けない。外したルールは afterprint で戻す。
+  // ナビゲーションなどを印刷しないための正規の印刷用スタイルは残すため、
+  // 外すのは <html>・<body> か、<body> の子要素をすべて隠すルールだけにする。
+
+  const PRINT_EVENTS = ["beforeprint", "afterprint"];
+
+  // 隠すための値（プロパティ → 値の判定）
+  const HIDING_PROPERTIES = {
+    display: (value) => value === "none",
+    visibility: (value) => value === "hidden" || value === "collapse",
+    opacity: (value) => parseFloat(value) === 0,
+  };
+
+  // 外した宣言 { rule, property, value, priority } の一覧（afterprint・teardown で戻す）
+  let removedPrintDeclarations = [];
+
+  function isPrintMedia(media) {
+    return Array.from(media ?? []).some((query) => /\bprint\b/i.test(query) && !/^\s*not\b/i.test(query));
+  }
+
+  /**
+   * セレクターがページ全体を隠すか（<html>・<body>、または <body> の子要素すべてに一致するか）を判定する。
+   */
+  function hidesWholePage(selector) {
+    try {
+      if (document.documentElement.matches(selector)) return true;
+      if (!document.body) return false;
+      if (document.body.matches(selector)) return true;
+
+      // スクリプト・スタイルや救出用画像など、もともと印刷されない要素は除く
+      const children = Array.from(document.body.children).filter(
+        (el) => !el.matches("script, style, link, noscript, template, [data-erc-rescued]")
+      );
+      return children.length > 0 && children.every((el) => el.matches(selector));
+    } catch (e) {
+      // ::before などの擬似要素を含むセレクター
+      return false;
+    }
+  }
+
+  /**
+   * ルールの一覧をたどり、印刷時にページ全体を隠す宣言を外す。
+   * @media print の中、media="print" のスタイルシート・@import の中を印刷用として扱う。
+   */
+  function unhidePrintRules(ruleList, inPrint) {
+    for (const rule of ruleList) {
+      if (rule instanceof CSSMediaRule) {
+        unhidePrintRules(rule.cssRules, inPrint || isPrintMedia(rule.media));
+      } else if (rule instanceof CSSImportRule) {
+        try {
+          unhidePrintRules(rule.styleSheet.cssRules, inPrint || isPrintMedia(rule.media));
+        } catch (e) { }
+      } else if (rule instanceof CSSStyleRule) {
+        if (!inPrint || !hidesWholePage(rule.selectorText)) continue;
+        for (const [property, isHiding] of Object.entries(HIDING_PROPERTIES)) {
+          const value = rule.style.getPropertyValue(property);
+          if (!value || !isHiding(value.trim())) continue;
+
+          removedPrintDeclarations.push({
+            rule: rule,
+            property: property,
+            value: value,
+            priority: rule.style.getPropertyPriority(property),
+          });
+          rule.style.removeProperty(property);
+          countStat("blocked", "print");
+        }
+      } else if (rule.cssRules) {
+        // @supports・@layer など
+        unhidePrintRules(rule.cssRules, inPrint);
+      }
+    }
+  }
+
+  /**
+   * 外した印刷用の宣言を元に戻す。
+   */
+  function restorePrintRules() {
+    removedPrintDeclarations.forEach(({ rule, property, value, priority }) => {
+      rule.style.setProperty(property, value, priority);
     });
+    removedPrintDeclarations = [];
+  }
+
+  // window のキャプチャで先に受け取り、ページのリスナー（onbeforeprint を含む）には届けない。
+  // 別オリジンのスタイルシートは中身を読めないため、外せない。
+  PRINT_EVENTS.forEach((type) => {
+    listen(
+      window,
+      type,
+      (e) => {
+        if (!isOn("print")) return;
+        if (type === "beforeprint") {
+          restorePrintRules();
+          for (const sheet of document.styleSheets) {
+            if (sheet.ownerNode === style) continue;
+            try {
+              unhidePrintRules(sheet.cssRules, isPrintMedia(sheet.media));
+            } catch (error) { }
+          }
+        } else {
+          restorePrintRules();
+        }
+        e.stopImmediatePropagation();
+      },
+      { capture: true }
+    );
   });
+  restorers.push(restorePrintRules);
+
+  // =====================================================
+  // 2-7. 開発者ツールの検出の無効化
+  // =====================================================
+  // 開発者ツールを開くと、白紙にしたり別のページへ移動したりするサイトがある。
+  // antiDevtools が ON の間は、よく使われる検出方法を次のように無効にする。
+  //
+  // - debugger のループ: Function("debugger") のように文字列から作る関数の debugger 文を取り除く
+  // - console の罠: 開発者ツールが表示する時にだけ呼ばれるゲッターを持つ要素を console に渡させない
+  // - F12・Ctrl+Shift+I・Ctrl+U などのキー: 2 で DEVTOOLS_COMBOS として通す
+  //
+  // Function・console はページ全体で使われるため、差し替えるのはこの2つだけにし、
+  // 他の機能と違って ON の時だけ組み込み、OFF にしたら元に戻す（installDevtoolsHooks）。
+  // ページのスクリプトに控えられる前に組み込めるよう、起動時の設定で ON なら起動時に組み込む
+  // （document_start で登録した Content Script には、Background Script が先に ON を書き込んでおく）。
+  // ページの中に直接書かれた debugger 文や、ウィンドウの大きさの比較による検出は無効にできない。
+
+  const DEBUGGER_RE = /\bdebugger\b/;
+
+  // 文字列・テンプレートリテラル・コメントは読み飛ばし、それ以外の debugger 文だけを拾う
+  // （obj.debugger のようなプロパティ名は除く。正規表現リテラルは区別しない）
+  const CODE_TOKEN_RE = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\[\s\S])*`|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(?<![\w$.])debugger(?![\w$])/g;
+
+  const OriginalFunction = Function;
+
+  // 組み込んだフックを元に戻す関数（組み込んでいない間は null）
+  let devtoolsRestorers = null;
+
+  function isDevtoolsOn() {
+    return isOn("antiDevtools");
+  }
+
+  /**
+   * コードの debugger 文を式に置き換える（if (x) debugger のような文が崩れないよう void 0 にする）。
+   * 文字列やコメントの中の "debugger" はそのまま残す。
+   *
+   * @returns {string|null} 置き換えたコード（debugger 文がなければ null）
+   */
+  function replaceDebugger(code) {
+    if (!DEBUGGER_RE.test(code)) return null;
+    let found = false;
+    const replaced = code.replace(CODE_TOKEN_RE, (token) => {
+      if (token !== "debugger") return token;
+      found = true;
+      return "void 0";
+    });
+    return found ? replaced : null;
+  }
+
+  /**
+   * 文字列のコードから debugger 文を取り除く。
+   */
+  function stripDebugger(code) {
+    if (typeof code !== "string") return code;
+    const replaced = replaceDebugger(code);
+    if (replaced === null) return code;
+    countStat("blocked", "devtools");
+    return replaced;
+  }
+
+  /**
+   * 開発者ツールが表示する時にだけ動くゲッター（要素の自前の id 等）を仕掛けた要素かを判定する。
+   * Vue などのリアクティブなオブジェクトもゲッターを持つため、要素以外は調べない。
+   */
+  function isConsoleTrap(value) {
+    try {
+      return value instanceof Element &&
+        Object.values(Object.getOwnPropertyDescriptors(value)).some((descriptor) => descriptor.get);
+    } catch (e) {
+      // Proxy の罠などで調べられない場合は、そのまま表示させる
+      return false;
+    }
+  }
+
+  const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug", "dir", "dirxml", "table", "trace"];
+
+  /**
+   * 検出の無効化に使うフックを組み込む（antiDevtools を ON にした時に呼ぶ）。
+   * 差し替えを戻す関数は restorers ではなく devtoolsRestorers に分けて控え、OFF にした時に戻す。
+   */
+  function installDevtoolsHooks() {
+    if (devtoolsRestorers) return;
+    const start = restorers.length;
+
+    // --- debugger のループ ---
+    try {
+      // Function("debugger") や (function () {}).constructor("debugger") で作られる関数。
+      // instanceof Function が変わらないよう、prototype は元のものを共有する
+      const FunctionWrapper = function Function(...args) {
+        if (isDevtoolsOn() && args.length > 0) {
+          args[args.length - 1] = stripDebugger(args[args.length - 1]);
+        }
+        return OriginalFunction.apply(this, args);
+      };
+      FunctionWrapper.prototype = OriginalFunction.prototype;
+      overrideProperty(window, "Function", FunctionWrapper);
+      overrideProperty(OriginalFunction.prototype, "constructor", FunctionWrapper);
+    } catch (e) {
+      console.error("[EnableRightClick] debugger trap override failed", e);
+    }
+
+    // --- console の罠 ---
+    CONSOLE_METHODS.forEach((name) => {
+      const original = console[name];
+      if (typeof original !== "function") return;
+      try {
+        overrideProperty(console, name, function (...args) {
+          if (isDevtoolsOn()) {
+            args = args.map((arg) => {
+              if (!isConsoleTrap(arg)) return arg;
+              countStat("blocked", "devtools");
+              return "[EnableRightClick] 開発者ツールの検出用のオブジェクトを省略";
+            });
+          }
+          return original.apply(this, args);
+        });
+      } catch (e) { }
+    });
+
+    devtoolsRestorers = restorers.splice(start);
+  }
+
+  /**
+   * installDevtoolsHooks で組み込んだフックを元に戻す（OFF にした時と後始末で呼ぶ）。
+   */
+  function uninstallDevtoolsHooks() {
+    while (devtoolsRestorers?.length > 0) {
+      try {
+        devtoolsRestorers.pop()();
+      } catch (e) {
+        console.error("[EnableRightClick] restore failed", e);
+      }
+    }
+    devtoolsRestorers = null;
+  }
+  restorers.push(uninstallDevtoolsHooks);
+
+  if (isDevtoolsOn()) installDevtoolsHooks();
+
+  if (isDevtoolsOn()) installDevtoolsHooks();
 
   // =====================================================
   // 3. CSS 強制上書き (Method 6, 8, 15 対策)
   // =====================================================
-  const style = document.createElement("style");
-  style.id = "enable-right-click-style";
-  style.textContent = `
+
+  /**
+   * 現在の設定に合わせた CSS を生成する。
+   */
+  function buildCss() {
+    const cssRules = [];
+
+    if (isOn("selection")) {
+      cssRules.push(`
     *, *::before, *::after {
       -webkit-user-select: auto !important;
       -moz-user-select: auto !important;
       -ms-user-select: auto !important;
       user-select: auto !important;
+    }`);
+    }
+
+    // クラス名でオーバーレイを消すと正規のモーダルやメニューまで消えるため、
+    // 透明な覆いの判定は 4 で右クリックの時に要素ごとに行う
+    if (isOn("overlay")) {
+      cssRules.push(`
+    *, *::before, *::after {
       pointer-events: auto !important;
+    }`);
     }
-    /* オーバーレイを非表示にするクラス */
-    .overlap, .overlay, [class*="overlap"], [class*="overlay"] {
-      display: none !important;
-      pointer-events: none !important;
+
+    // 独自プレーヤーが CSS で隠したネイティブのコントロールを表示する
+    if (isOn("media")) {
+      cssRules.push(`
+    video::-webkit-media-controls,
+    audio::-webkit-media-controls,
+    video::-webkit-media-controls-enclosure,
+    audio::-webkit-media-controls-enclosure {
+      display: flex !important;
+    }`);
     }
-  `;
+
+    return cssRules.join("\n");
+  }
+
+  const style = document.createElement("style");
+  style.id = "enable-right-click-style";
   (document.head || document.documentElement).appendChild(style);
 
+  // shadow root 用の Constructable Stylesheet（3-2 で使う）
+  let shadowSheet = null;
+  try {
+    shadowSheet = new CSSStyleSheet();
+  } catch (e) {
+    console.error("[EnableRightClick] CSSStyleSheet creation failed", e);
+  }
+
+  /**
+   * document と shadow root の両方の CSS を現在の設定に合わせて書き換える。
+   */
+  function updateStyles() {
+    const cssText = buildCss();
+    style.textContent = cssText;
+    shadowSheet?.replaceSync(cssText);
+  }
+
+  updateStyles();
+
+  // =====================================================
+  // 3-2. Shadow DOM への適用
+  // =====================================================
+  // <style> 要素の CSS は shadow root の中には届かないため、
+  // Web Components を使うサイトでは user-select: none が残ってしまう。
+  // 同じ CSS を Constructable Stylesheet として各 shadow root に adopt する。
+  // 注入後に作られる shadow root は attachShadow のフックで、
+  // 宣言的 Shadow DOM（<template shadowrootmode>）は MutationObserver で拾う。
+
+  // CSS を適用済みの shadow root（teardown で外すため）
+  const adoptedRoots = new Set();
+
+  // closed モードの shadow root は element.shadowRoot から辿れないため、
+  // attachShadow のフックで控えておく（hit-test で使う）
+  const closedShadowRoots = new WeakMap();
+
+  /**
+   * 要素の shadow root を取得する（closed モードも含む）。
+   */
+  function getShadowRoot(el) {
+    return el.shadowRoot || closedShadowRoots.get(el) || null;
+  }
+
+  /**
+   * shadow root に解除用の CSS を適用する。
+   */
+  function adoptStyles(root) {
+    if (!shadowSheet || adoptedRoots.has(root)) return;
+    try {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, shadowSheet];
+      adoptedRoots.add(root);
+    } catch (e) { }
+  }
+
+  /**
+   * node 以下にあるすべての shadow root（入れ子を含む）に CSS を適用する。
+   */
+  function adoptStylesDeep(node) {
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.currentNode; el; el = walker.nextNode()) {
+      const root = el instanceof Element && getShadowRoot(el);
+      if (root) {
+        adoptStyles(root);
+        adoptStylesDeep(root);
+      }
+    }
+  }
+
+  // 注入後に作られる shadow root をフック
+  const originalAttachShadow = Element.prototype.attachShadow;
+  try {
+    overrideProperty(Element.prototype, "attachShadow", function (init) {
+      const root = originalAttachShadow.call(this, init);
+      if (init?.mode === "closed") {
+        closedShadowRoots.set(this, root);
+      }
+      adoptStyles(root);
+      return root;
+    });
+  } catch (e) {
+    console.error("[EnableRightClick] attachShadow override failed", e);
+  }
+
+  if (shadowSheet) {
+    // 既存の shadow root に適用
+    adoptStylesDeep(document);
+
+    // 後から追加される要素（宣言的 Shadow DOM を含む）を監視
+    const shadowObserver = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) adoptStylesDeep(node);
+        });
+      }
+    });
+    shadowObserver.observe(document, { childList: true, subtree: true });
+
+    restorers.push(() => {
+      shadowObserver.disconnect();
+      adoptedRoots.forEach((root) => {
+        root.adoptedStyleSheets = root.adoptedStyleSheets.filter((s) => s !== shadowSheet);
+      });
+      adoptedRoots.clear();
+    });
+  }
+
   // =====================================================
   // 4. スマートなオーバーレイ回避 & 背景画像救出 (Method 13, 16)
   // =====================================================
   // 右クリック(mousedown)された瞬間に、カーソル下の要素をチェックする
 
-  document.addEventListener(
+  // オーバーレイ回避で一時的に pointer-events: none にした要素
+  const blockedElements = new Set();
+
+  // 最後に右クリックした位置の要素（手前から順）
+  let lastContextElements = [];
+
+  // 最後に右クリックした位置の画像の候補（良い順）と、その時刻
+  let imageCandidates = [];
+  let imageCandidatesTime = 0;
+
+  listen(
+    document,
     "mousedown",
     (e) => {
       // 右クリック (button 2) のみ対象
@@ -151,98 +1386,737 @@
       const x = e.clientX;
       const y = e.clientY;
 
-      // カーソル下の全要素を取得
-      const elements = document.elementsFromPoint(x, y);
+      // カーソル下の全要素を取得（shadow root の中まで含める）
+      // 拡張機能の右クリックメニュー（4-2）のために、機能の ON/OFF に関係なく控えておく
+      const elements = deepElementsFromPoint(x, y);
+      lastContextElements = elements;
+
+      if (!isOn("imageRescue") && !isOn("overlay")) return;
 
       // A. 背景画像の救出 (Method 16 対策)
       // -------------------------------------------------
-      // 要素の中に background-image を持つものがあれば、
-      // その画像を指す透明な <img> タグを生成して最前面に置く。
+      // カーソル下の要素から画像の候補（背景の全レイヤー、::before / ::after、
+      // image-set()、マスク、<picture> / srcset で実際に選ばれた画像など）を集め、
+      // 最も良い候補を指す透明な <img> タグを生成して最前面に置く。
       // これにより「名前を付けて画像を保存」が可能になる。
+      // 候補が複数ある場合は、ポップアップから選び直せるように控えておく。
 
-      const bgElement = elements.find((el) => {
-        const s = window.getComputedStyle(el);
-        return (
-          s.backgroundImage &&
-          s.backgroundImage !== "none" &&
-          s.backgroundImage.includes("url")
-        );
-      });
+      if (isOn("imageRescue")) {
+        imageCandidates = collectImageCandidates(elements);
+        imageCandidatesTime = Date.now();
+      }
+      const best = isOn("imageRescue") && imageCandidates[0];
 
-      if (bgElement) {
-        const s = window.getComputedStyle(bgElement);
-        const match = s.backgroundImage.match(/url\(["']?(.*?)["']?\)/);
-        if (match && match[1]) {
-          const url = match[1];
-
-          // 救出用画像を検索、なければ作成
-          let img = document.querySelector(`img[data-erc-rescued="${url}"]`);
-          if (!img) {
-            img = document.createElement("img");
-            img.src = url;
-            img.dataset.ercRescued = url;
-            document.body.appendChild(img);
-          }
+      // 一番上の要素がその画像の <img> そのものなら、ブラウザのメニューで保存できる
+      const isNativeImage =
+        best && elements[0] instanceof HTMLImageElement && elements[0].currentSrc === best.url;
 
-          // スタイルと位置を更新 (毎回必ず実行)
-          // 元の要素と同じ位置・サイズに透明画像を重ねることで、
-          // どこをクリックしても確実に反応するようにする
-          const rect = bgElement.getBoundingClientRect();
-          img.style.cssText = `
-            position: fixed;
-            top: ${rect.top}px;
-            left: ${rect.left}px;
-            width: ${rect.width}px;
-            height: ${rect.height}px;
-            opacity: 0.01; /* 完全透明だと無視されるブラウザ対策 */
-            z-index: 2147483647;
-            pointer-events: auto !important;
-            cursor: context-menu;
-            object-fit: cover; /* 背景画像の表示方法に合わせるのがベストだが、coverで概ねOK */
-          `;
-
-          // 一定時間後に削除 (ガベージコレクト)
-          // 面積が広いので少し長めに残す
-          clearTimeout(img._ercTimer);
-          img._ercTimer = setTimeout(() => img.remove(), 5000);
+      if (best && !isNativeImage) {
+        const url = best.url;
+        // 救出用画像を検索、なければ作成
+        // URL に引用符等が含まれても壊れないように、セレクタ用にエスケープする
+        let img = document.querySelector(`img[data-erc-rescued="${CSS.escape(url)}"]`);
+        if (!img) {
+          img = document.createElement("img");
+          img.src = url;
+          img.dataset.ercRescued = url;
+          document.body.appendChild(img);
         }
+
+        // スタイルと位置を更新 (毎回必ず実行)
+        // 元の要素と同じ位置・サイズに透明画像を重ねることで、
+        // どこをクリックしても確実に反応するようにする
+        const rect = best.element.getBoundingClientRect();
+        img.style.cssText = `
+          position: fixed;
+          top: ${rect.top}px;
+          left: ${rect.left}px;
+          width: ${rect.width}px;
+          height: ${rect.height}px;
+          opacity: 0.01; /* 完全透明だと無視されるブラウザ対策 */
+          z-index: 2147483647;
+          pointer-events: auto !important;
+          cursor: context-menu;
+          object-fit: cover; /* 背景画像の表示方法に合わせるのがベストだが、coverで概ねOK */
+        `;
+
+        // 一定時間後に削除 (ガベージコレクト)
+        // 面積が広いので少し長めに残す
+        clearTimeout(img._ercTimer);
+        img._ercTimer = setTimeout(() => img.remove(), 5000);
       }
 
       // B. オーバーレイ回避 (Method 13 対策)
       // -------------------------------------------------
-      // 本来クリックしたい要素 (画像、動画、入力欄など) が
+      // 本来クリックしたい要素 (画像、動画、入力欄、文章など) が
       // 透明な要素の下に隠れている場合、上の要素を一時的に無視する。
+      // 上の要素がすべて邪魔者とは限らない（文字のあるメニューや半透明のモーダル等）ため、
+      // scoreOverlay() でクリックシールドらしいものだけを選ぶ。
 
-      const targets = ["IMG", "VIDEO", "AUDIO", "INPUT", "TEXTAREA", "SELECT"];
-      const targetElement = elements.find((el) => targets.includes(el.tagName));
+      const targetElement = isOn("overlay") && findClickTarget(elements);
 
       // もしターゲット要素が見つかり、かつそれが一番上の要素でない場合
       if (targetElement && elements[0] !== targetElement) {
-        // ターゲットより上にある要素（＝邪魔なオーバーレイ）をすべて
-        // pointer-events: none にする
         let blocked = false;
         for (const el of elements) {
           if (el === targetElement) break;
+          if (el.contains(targetElement)) continue;
+
+          const { score, reasons } = scoreOverlay(el, targetElement);
+          if (score < OVERLAY_THRESHOLD) continue;
 
           // 邪魔な要素
+          // shadow root 内の要素は document.querySelectorAll で見つからないため、
+          // 元に戻せるように参照を控えておく
           el.style.setProperty("pointer-events", "none", "important");
           el.dataset.ercBlocked = "true";
+          blockedElements.add(el);
+          recordOverlay(el, score, reasons);
           blocked = true;
         }
 
         if (blocked) {
           // 少し待ってから元に戻す（コンテキストメニューが出た後）
-          setTimeout(() => {
-            document.querySelectorAll('[data-erc-blocked="true"]').forEach((el) => {
-              el.style.pointerEvents = "";
-              delete el.dataset.ercBlocked;
-            });
-          }, 500);
+          setTimeout(restoreBlockedElements, 500);
         }
       }
     },
     true // キャプチャリングフェーズで実行（誰よりも早く）
   );
 
+  /**
+   * shadow root の境界を越えて、座標の下にある要素を手前から順に取得する。
+   *
+   * document.elementsFromPoint() は shadow root の中の要素をホスト要素に
+   * 置き換えて返すため、そのままではシャドウツリー内の透明な要素や
+   * 背景画像を見つけられない。ホストを見つけるたびにその shadow root でも
+   * elementsFromPoint() を呼び、中の要素をホストの手前に並べる。
+   */
+  function deepElementsFromPoint(x, y, root = document) {
+    const result = [];
+    for (const el of root.elementsFromPoint(x, y)) {
+      if (result.includes(el)) continue;
+
+      const shadow = getShadowRoot(el);
+      if (shadow && shadow !== root) {
+        // shadow root の elementsFromPoint() は外側の祖先も返すので、
+        // 内側（別のツリー）の要素だけを取り出す
+        for (const inner of deepElementsFromPoint(x, y, shadow)) {
+          if (inner.getRootNode() !== root && !result.includes(inner)) {
+            result.push(inner);
+          }
+        }
+      }
+      result.push(el);
+    }
+    return result;
+  }
+
+  // --- 画像の候補の収集 ---
+
+  // 画像を指しうる CSS プロパティ（要素と ::before / ::after の両方で調べる）
+  const IMAGE_PROPERTIES = [
+    ["backgroundImage", "背景"],
+    ["maskImage", "マスク"],
+    ["webkitMaskImage", "マスク"],
+  ];
+
+  // url("...") / url('...') / url(...) と、image-set() の解像度（2x 等）
+  const CSS_URL_RE =
+    /url\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^)\s"']+))\s*\)(?:\s+([\d.]+)(?:x|dppx))?/g;
+
+  /**
+   * カーソル下の要素から画像の候補を集める。手前の要素の候補ほど前に並べ、
+   * 同じ URL は最初の1つだけを残す。
+   *
+   * @returns {{ url: string, kind: string, element: Element }[]} 良い順の候補
+   */
+  function collectImageCandidates(elements) {
+    const candidates = [];
+    const add = (url, kind, element) => {
+      const resolved = resolveUrl(url);
+      if (resolved && !candidates.some((c) => c.url === resolved)) {
+        candidates.push({ url: resolved, kind: kind, element: element });
+      }
+    };
+
+    for (const el of elements) {
+      // <img>（<picture> / srcset で実際に選ばれた画像）
+      if (el instanceof HTMLImageElement) {
+        const src = el.currentSrc || el.src;
+        add(src, el.currentSrc && el.currentSrc !== el.src ? "srcset" : "img", el);
+      }
+      if (el instanceof HTMLVideoElement && el.poster) {
+        add(el.poster, "poster", el);
+      }
+      if (el instanceof SVGImageElement) {
+        add(el.href.baseVal, "svg", el);
+      }
+
+      // 背景・マスク（要素自体 → ::before → ::after の順）
+      for (const pseudo of [null, "::before", "::after"]) {
+        const s = window.getComputedStyle(el, pseudo);
+        const label = pseudo ?? "";
+        for (const [property, name] of IMAGE_PROPERTIES) {
+          extractCssUrls(s[property]).forEach((url) => add(url, name + label, el));
+        }
+        if (pseudo) {
+          extractCssUrls(s.content).forEach((url) => add(url, "content" + label, el));
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * CSS の値から画像の URL を取り出す。
+   * カンマ区切りの各レイヤーを順に見て、image-set() の中は解像度の高い順に並べる。
+   */
+  function extractCssUrls(value) {
+    if (!value || value === "none") return [];
+
+    return splitTopLevel(value).flatMap((layer) =>
+      Array.from(layer.matchAll(CSS_URL_RE))
+        .map((m) => ({
+          url: (m[1] ?? m[2] ?? m[3]).replace(/\\(.)/g, "$1"),
+          resolution: m[4] ? parseFloat(m[4]) : 1,
+        }))
+        .sort((a, b) => b.resolution - a.resolution)
+        .map((entry) => entry.url)
+    );
+  }
+
+  /**
+   * 括弧と引用符の外にあるカンマで値を分割する（背景のレイヤーごとに分ける）。
+   */
+  function splitTopLevel(value) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < value.length; i++) {
+      const c = value[i];
+      if (quote) {
+        if (c === "\\") i++;
+        else if (c === quote) quote = null;
+      } else if (c === '"' || c === "'") {
+        quote = c;
+      } else if (c === "(") {
+        depth++;
+      } else if (c === ")") {
+        depth--;
+      } else if (c === "," && depth === 0) {
+        parts.push(value.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(value.slice(start));
+    return parts;
+  }
+
+  function resolveUrl(url) {
+    if (!url) return null;
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 最後に右クリックした位置の画像の候補を返す（ポップアップ表示用）。
+   */
+  function getImageCandidates() {
+    return imageCandidates.map((candidate, index) => ({
+      url: candidate.url,
+      kind: candidate.kind,
+      element: describeElement(candidate.element),
+      best: index === 0,
+      time: imageCandidatesTime,
+    }));
+  }
+
+  // クリックしたい要素とみなすタグ
+  const CLICK_TARGET_TAGS = ["IMG", "VIDEO", "AUDIO", "CANVAS", "INPUT", "TEXTAREA", "SELECT"];
+
+  /**
+   * カーソル下の要素から、本来クリックしたい要素を探す。
+   * メディアや入力欄がなければ、文字を直接含む要素（文章）を対象にする。
+   */
+  function findClickTarget(elements) {
+    return (
+      elements.find((el) => CLICK_TARGET_TAGS.includes(el.tagName)) ??
+      elements.find((el) =>
+        Array.from(el.childNodes).some(
+          (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ""
+        )
+      )
+    );
+  }
+
+  // この点数以上の要素をクリックシールドとみなす
+  const OVERLAY_THRESHOLD = 6;
+
+  /**
+   * 要素がクリックを遮るだけの透明な覆い（クリックシールド）らしいかを点数で評価する。
+   *
+   * - 透明さ: 要素自体がほぼ透明なら +3、背景が描かれていなければ +2
+   * - 覆っている割合: 下の要素の 9 割以上なら +2、半分以上なら +1
+   * - 重なり順: 位置指定があり z-index が正なら +1
+   * - 中身: 文字やメディアを含まなければ +2、含んでいれば -3
+   *
+   * 半透明の背景を持つモーダルの背景幕（5 点）や、文字のあるメニューは閾値に届かない。
+   *
+   * @returns {{ score: number, reasons: string[] }} 点数と、その理由
+   */
+  function scoreOverlay(el, target) {
+    const s = window.getComputedStyle(el);
+    const reasons = [];
+    let score = 0;
+
+    if (parseFloat(s.opacity) < 0.1) {
+      score += 3;
+      reasons.push(`opacity: ${s.opacity}`);
+    } else if (isTransparentColor(s.backgroundColor) && (!s.backgroundImage || s.backgroundImage === "none")) {
+      score += 2;
+      reasons.push("背景なし");
+    }
+
+    const coverage = getCoverage(el.getBoundingClientRect(), target.getBoundingClientRect());
+    if (coverage >= 0.9) {
+      score += 2;
+      reasons.push("下の要素を覆う");
+    } else if (coverage >= 0.5) {
+      score += 1;
+      reasons.push("下の要素の一部を覆う");
+    }
+
+    if (s.position !== "static" && parseInt(s.zIndex, 10) > 0) {
+      score += 1;
+      reasons.push(`z-index: ${s.zIndex}`);
+    }
+
+    if (hasVisibleContent(el)) {
+      score -= 3;
+    } else {
+      score += 2;
+      reasons.push("中身なし");
+    }
+
+    return { score, reasons };
+  }
+
+  function isTransparentColor(color) {
+    return color === "transparent" || /^rgba\(.*,\s*0\)$/.test(color);
+  }
+
+  /**
+   * rect が target をどれだけ覆っているか（0〜1）を返す。
+   */
+  function getCoverage(rect, target) {
+    const width = Math.min(rect.right, target.right) - Math.max(rect.left, target.left);
+    const height = Math.min(rect.bottom, target.bottom) - Math.max(rect.top, target.top);
+    const area = target.width * target.height;
+    if (width <= 0 || height <= 0 || area <= 0) return 0;
+    return Math.min(1, (width * height) / area);
+  }
+
+  /**
+   * 要素が文字やメディアなど、見える中身を持つかを判定する。
+   */
+  function hasVisibleContent(el) {
+    if (CLICK_TARGET_TAGS.includes(el.tagName)) return true;
+    if (el.textContent.trim() !== "") return true;
+    return el.querySelector("img, video, audio, canvas, svg, iframe, input, textarea, select, button") !== null;
+  }
+
+  // --- 無効化したオーバーレイの記録 ---
+  // ポップアップから「このページで何を無効化したか」を確認できるように、
+  // 新しい順に一定数だけ控えておく
+
+  const OVERLAY_REPORT_LIMIT = 20;
+  const overlayReport = [];
+
+  // 無効化したことのあるオーバーレイ（「制限の検出」で数える。同じ要素は1回だけ）
+  // blockedElements は右クリックの後すぐに戻すため、数には使えない
+  const reportedOverlays = new WeakSet();
+  let reportedOverlayCount = 0;
+
+  function recordOverlay(el, score, reasons) {
+    if (!reportedOverlays.has(el)) {
+      reportedOverlays.add(el);
+      reportedOverlayCount++;
+    }
+
+    const rect = el.getBoundingClientRect();
+    overlayReport.unshift({
+      element: describeElement(el),
+      size: `${Math.round(rect.width)}×${Math.round(rect.height)}`,
+      score: score,
+      reasons: reasons,
+      time: Date.now(),
+    });
+    overlayReport.length = Math.min(overlayReport.length, OVERLAY_REPORT_LIMIT);
+  }
+
+  /**
+   * 要素を "div#id.class1.class2" の形式で表す。
+   */
+  function describeElement(el) {
+    let text = el.tagName.toLowerCase();
+    if (el.id) text += "#" + el.id;
+    const classes = Array.from(el.classList).slice(0, 2);
+    if (classes.length > 0) text += "." + classes.join(".");
+    return text;
+  }
+
+  /**
+   * 無効化したオーバーレイの記録を返す（ポップアップ表示用）。
+   */
+  function getOverlayReport() {
+    return overlayReport.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * 解除の記録を返す（ポップアップの「制限の検出」用）。
+   * 削除したインライン属性は今の状態から、無効化したオーバーレイは記録から数える。
+   */
+  function getStats() {
+    let inlineHandlers = 0;
+    removedAttributes.forEach((attributes) => {
+      inlineHandlers += attributes.size;
+    });
+
+    return {
+      listeners: { ...stats.listeners },
+      blocked: { ...stats.blocked },
+      selectionWipes: stats.selectionWipes,
+      inlineHandlers: inlineHandlers,
+      overlays: reportedOverlayCount,
+    };
+  }
+
+  /**
+   * オーバーレイ回避で pointer-events: none にした要素を元に戻す。
+   */
+  function restoreBlockedElements() {
+    blockedElements.forEach((el) => {
+      el.style.pointerEvents = "";
+      delete el.dataset.ercBlocked;
+    });
+    blockedElements.clear();
+  }
+
+  // =====================================================
+  // 4-2. 拡張機能の右クリックメニューの操作
+  // =====================================================
+  // Background Script がメニューのクリック時に呼び出し、コピーする文字列を受け取る。
+  // クリップボードへの書き込みは Background Script が ISOLATED ワールドで行う。
+
+  /**
+   * 最後に右クリックした位置の画像の URL を返す。
+   * 手前の要素から順に、canvas なら画像データの URL、それ以外は 4 の画像の候補を探す。
+   *
+   * @returns {string|null}
+   */
+  function getContextImageUrl() {
+    for (const el of lastContextElements) {
+      if (el instanceof HTMLCanvasElement) {
+        try {
+          return el.toDataURL();
+        } catch (e) {
+          // 別オリジンの画像を描いた canvas は読み出せない
+          continue;
+        }
+      }
+      const [candidate] = collectImageCandidates([el]);
+      if (candidate) return candidate.url;
+    }
+    return null;
+  }
+
+  /**
+   * 選択範囲をプレーンテキストで返す。
+   */
+  function getSelectionText() {
+    return window.getSelection()?.toString() ?? "";
+  }
+
+  /**
+   * 選択範囲を Markdown に変換して返す。
+   * 見出し・段落・リスト・引用・リンク・画像・強調・コードに対応する。
+   */
+  function getSelectionMarkdown() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return "";
+
+    const container = document.createElement("div");
+    for (let i = 0; i < selection.rangeCount; i++) {
+      container.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+    return toMarkdown(container).replace(/\n{3,}/g, "\n\n").trim();
+  }
+
+  /**
+   * ノードとその子孫を Markdown の文字列に変換する。
+   */
+  function toMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, " ");
+    }
+    if (!(node instanceof Element)) return "";
+
+    const inner = () => Array.from(node.childNodes).map(toMarkdown).join("");
+    const block = (text) => `\n\n${text.trim()}\n\n`;
+
+    switch (node.tagName) {
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6":
+        return block("#".repeat(Number(node.tagName[1])) + " " + inner().trim());
+      case "P": case "DIV": case "SECTION": case "ARTICLE": case "TABLE": case "TR":
+        return block(inner());
+      case "BR":
+        return "  \n";
+      case "HR":
+        return block("---");
+      case "STRONG": case "B":
+        return wrapInline(inner(), "**");
+      case "EM": case "I":
+        return wrapInline(inner(), "_");
+      case "CODE":
+        return wrapInline(node.textContent, "`");
+      case "PRE":
+        return block("```\n" + node.textContent.replace(/\n$/, "") + "\n```");
+      case "A": {
+        const text = inner().trim();
+        return node.href ? `[${text || node.href}](${node.href})` : text;
+      }
+      case "IMG":
+        return node.src ? `![${node.alt}](${node.currentSrc || node.src})` : "";
+      case "UL": case "OL": {
+        const items = Array.from(node.children).filter((child) => child.tagName === "LI");
+        return block(
+          items
+            .map((item, index) => {
+              const marker = node.tagName === "OL" ? `${index + 1}. ` : "- ";
+              // 入れ子のリストは字下げする
+              const text = toMarkdown(item).trim().replace(/\n+/g, "\n").replace(/\n/g, "\n   ");
+              return marker + text;
+            })
+            .join("\n")
+        );
+      }
+      case "LI":
+        return inner();
+      case "BLOCKQUOTE":
+        return block(inner().trim().split("\n").map((line) => "> " + line).join("\n"));
+      case "SCRIPT": case "STYLE": case "NOSCRIPT": case "TEMPLATE":
+        return "";
+      default:
+        return inner();
+    }
+  }
+
+  /**
+   * 前後の空白を記号の外に出して囲む（"** text**" のような崩れを防ぐ）。
+   */
+  function wrapInline(text, mark) {
+    const match = text.match(/^(\s*)(.*?)(\s*)$/s);
+    return match[2] ? match[1] + mark + match[2] + mark + match[3] : text;
+  }
+
+  // =====================================================
+  // 5. 後始末 (teardown)
+  // =====================================================
+  // サイトの許可を取り消した時に Background Script から呼ばれる。
+  // リロードせずに解除を元に戻すことで、フォームの入力内容や
+  // スクロール位置を失わずに済む。
+
+  function teardown() {
+    // ページ側に残るラッパーが、以降は元のハンドラーをそのまま呼ぶようにする
+    active = false;
+
+    // 書き換えたプロパティと登録したリスナーを逆順に戻す
+    clearTimeout(reportTimer);
+    disconnect();
+    while (restorers.length > 0) {
+      try {
+        restorers.pop()();
+      } catch (e) {
+        console.error("[EnableRightClick] restore failed", e);
+      }
+    }
+
+    // 追加した CSS・救出用画像・一時的に無効化した要素を片付ける
+    style.remove();
+    document.querySelectorAll("img[data-erc-rescued]").forEach((img) => {
+      clearTimeout(img._ercTimer);
+      img.remove();
+    });
+    restoreBlockedElements();
+
+    // 再注入できるようにフラグを消す
+    delete window.__enableRightClickInjected;
+    delete window.__enableRightClick;
+
+    console.log("[EnableRightClick] 制限解除を元に戻しました");
+  }
+
+  // =====================================================
+  // 6. 設定の反映 (configure)
+  // =====================================================
+  // 注入後に設定が届いた時や、設定が変更された時に Background Script から呼ばれる。
+  // フックは設定を呼ばれた時点で参照するので、CSS だけを作り直せばよい。
+
+  function configure(newSettings) {
+    settings = newSettings || {};
+    updateStyles();
+    updateKeyboardCombos();
+
+    // OFF になった機能のインライン属性は戻し、ON になった機能の属性は削除する
+    restoreInlineHandlers(false);
+    scrubInlineHandlers(document.documentElement);
+    if (!isOn("forms")) restoreFormFields();
+    scrubFormFields(document.documentElement);
+    if (!isOn("media")) restoreMedia();
+    if (!isOn("print")) restorePrintRules();
+    if (isOn("antiDevtools")) {
+      installDevtoolsHooks();
+    } else {
+      uninstallDevtoolsHooks();
+    }
+    scrubMedia(document.documentElement);
+  }
+
+  // =====================================================
+  // 7. 拡張機能との通信 (bridge)
+  // =====================================================
+  // MAIN ワールドでは chrome.runtime を使えないため、同じフレームの ISOLATED ワールドで動く
+  // relay.js と MessagePort でやり取りする。
+  // ポートは relay.js から一度だけ window.postMessage で渡される。ページのリスナーに
+  // ポートが渡らないよう、ページより先に登録したリスナーで受け取って伝播を止める。
+  // 以降のやり取りはポートだけで行うので、ページからは見えない。
+  //   relay.js → content.js: configure（設定の変更。受け取ったら ack を返す）
+  //                          reconnect（次に渡すポートの合言葉）
+  //   content.js → relay.js: connected（ポートの受け取り）・disconnected（後始末）・ack
+  //                          blocked（無効化した操作の累計。ツールバーのバッジに表示する）
+  //
+  // ページも同じ形のメッセージで自分のポートを渡せるので、ポートを受け取るのは
+  // まだポートがない時か、今のポートで知らされた合言葉の付いたポートだけにする。
+
+  // メッセージの識別子（relay.js の BRIDGE_CHANNEL と同じ）
+  const BRIDGE_CHANNEL = "enable-right-click";
+
+  // 無効化が続いた時に、まとめて送るまでの待ち時間（ミリ秒）
+  const REPORT_DELAY = 500;
+
+  // ページが postMessage を差し替えても relay.js に届くよう、元の関数で送る
+  const originalPostMessage = window.postMessage;
+  const originalPortPostMessage = MessagePort.prototype.postMessage;
+
+  function postToRelay(message) {
+    if (!bridgePort) return;
+    originalPortPostMessage.call(bridgePort, message);
+  }
+
+  /**
+   * 無効化したページの操作（キャンセル・選択の解除）の累計を返す。
+   * 差分ではなく累計を送るので、途中のメッセージが届かなくても数がずれない。
+   */
+  function getBlockedTotal() {
+    let total = stats.selectionWipes;
+    Object.values(stats.blocked).forEach((count) => {
+      total += count;
+    });
+    return total;
+  }
+
+  function reportBlocked() {
+    if (!bridgePort || reportTimer) return;
+    reportTimer = setTimeout(() => {
+      reportTimer = null;
+      postToRelay({ type: "blocked", total: getBlockedTotal() });
+    }, REPORT_DELAY);
+  }
+
+  // 今のポートで relay.js から知らされた、次のポートの合言葉
+  let expectedToken = null;
+  // 合言葉より先に届いたポート（ポートと window のメッセージは届く順番が決まっていない）
+  let pendingOffer = null;
+
+  /**
+   * relay.js から渡されたポートを受け取るかを決める。
+   * 同じ合言葉で後から届いたポート（ページが真似たもの）は受け取らない。
+   */
+  function acceptOffer(token, port) {
+    if (!bridgePort || (token && token === expectedToken)) {
+      expectedToken = null;
+      pendingOffer = null;
+      connect(port);
+    } else if (!pendingOffer || pendingOffer.token !== token) {
+      pendingOffer = { token, port };
+    }
+  }
+
+  /**
+   * relay.js から受け取ったポートで通信を始める。
+   * 接続する前に無効化した分も、ここでまとめて送る。
+   */
+  function connect(port) {
+    bridgePort?.close();
+    bridgePort = port;
+    bridgePort.onmessage = (event) => {
+      const data = event.data;
+      switch (data?.type) {
+        case "configure":
+          configure(data.settings);
+          postToRelay({ type: "ack", id: data.id });
+          return;
+        case "reconnect":
+          expectedToken = data.token;
+          if (pendingOffer?.token === expectedToken) acceptOffer(pendingOffer.token, pendingOffer.port);
+          return;
+      }
+    };
+    postToRelay({ type: "connected" });
+    if (getBlockedTotal() > 0) postToRelay({ type: "blocked", total: getBlockedTotal() });
+  }
+
+  /**
+   * relay.js に通信の終了を伝えてポートを閉じる。
+   */
+  function disconnect() {
+    postToRelay({ type: "disconnected" });
+    bridgePort?.close();
+    bridgePort = null;
+  }
+
+  // relay.js からのポートの受け渡し（ページのリスナーより先に受け取るため capture で登録する）
+  listen(window, "message", (event) => {
+    const data = event.data;
+    if (event.source !== window || data?.channel !== BRIDGE_CHANNEL) return;
+    if (data.from !== "extension" || data.type !== "connect" || !event.ports[0]) return;
+
+    event.stopImmediatePropagation();
+    acceptOffer(data.token, event.ports[0]);
+  }, true);
+
+  // 先に relay.js が接続を求めていた場合に、ポートを渡し直してもらう
+  originalPostMessage.call(window, { channel: BRIDGE_CHANNEL, type: "ready", from: "page" }, "*");
+
+  window.__enableRightClick = {
+    configure,
+    teardown,
+    getOverlayReport,
+    getStats,
+    getRemovedHandlers,
+    getImageCandidates,
+    getMediaSources,
+    getContextImageUrl,
+    getSelectionText,
+    getSelectionMarkdown,
+  };
+
   console.log("[EnableRightClick] 制限解除完了 (v2)");
 })();
@@ -0,0 +1,14 @@
+/**
+ * EnableRightClick - 開発者ツールの妨害の事前設定（MAIN ワールド）
+ *
+ * document_start で登録した content.js は設定を受け取れず、起動時は既定値で動く。
+ * 開発者ツールの妨害は既定で OFF なので、ON にしたルールでは content.js より先にこのスクリプトを
+ * 実行して ON を書き込み、ページのスクリプトより先にフックを組み込ませる（content.js の 2-7 を参照）。
+ * 他の機能は設定が届くまで既定値のまま。届いた設定は configure() で反映される。
+ */
+
+(function () {
+  "use strict";
+
+  window.__enableRightClickSettings = { ...window.__enableRightClickSettings, antiDevtools: true };
+})();
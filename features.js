@@ -0,0 +1,128 @@
+/**
+ * EnableRightClick - 機能定義
+ *
+ * サイトごとに ON/OFF できる解除機能の一覧と、その既定値。
+ * Background Script（importScripts）・ポップアップ・オプションページの
+ * 3箇所から読み込んで共有する。
+ *
+ * Content Script はページ側（MAIN ワールド）で動くためこのファイルを読み込まず、
+ * Background Script から完成済みの設定オブジェクトを受け取る。
+ */
+
+/**
+ * 解除機能の一覧（表示順）。
+ * key は設定オブジェクトのプロパティ名、label は UI に表示する名前。
+ */
+const FEATURES = [
+    { key: "rightClick", label: "右クリック", default: true },
+    { key: "selection", label: "テキスト選択", default: true },
+    { key: "clipboard", label: "コピー・切り取り・貼り付け", default: true },
+    { key: "cleanCopy", label: "コピー内容の整理", default: true },
+    { key: "drag", label: "ドラッグ", default: true },
+    { key: "keyboard", label: "キーボード", default: true },
+    { key: "forms", label: "入力欄への貼り付け", default: true },
+    { key: "media", label: "動画・音声のコントロール", default: false },
+    { key: "print", label: "印刷・PDF 保存", default: false },
+    { key: "antiDevtools", label: "開発者ツールの妨害", default: false },
+    { key: "overlay", label: "オーバーレイ除去", default: true },
+    { key: "imageRescue", label: "背景画像の救出", default: true },
+];
+
+/** サイトごとの設定の既定値（{ rightClick: true, ... } の形式） */
+const DEFAULT_SETTINGS = Object.fromEntries(
+    FEATURES.map((feature) => [feature.key, feature.default])
+);
+
+/**
+ * 保存済みの設定を既定値で補完する。
+ * 機能が後から追加された場合でも、古い設定に不足するキーを埋められる。
+ *
+ * @param {Object|undefined} settings - 保存済みの設定
+ * @returns {Object} すべての機能キーを持つ設定オブジェクト
+ */
+function normalizeSettings(settings) {
+    const normalized = { ...DEFAULT_SETTINGS };
+    for (const { key } of FEATURES) {
+        if (typeof settings?.[key] === "boolean") {
+            normalized[key] = settings[key];
+        }
+    }
+    return normalized;
+}
+
+// =====================================================
+// キーボードの保護対象ショートカット
+// =====================================================
+// キーボード機能が ON のサイトでは、ここに挙げた組み合わせだけを
+// ページのキーハンドラーから守る。それ以外のキーは通常どおりページに届く。
+// "Ctrl" は macOS の Cmd キーも含む。
+
+/** 既定で保護するショートカット */
+const DEFAULT_KEYBOARD_COMBOS = [
+    "Ctrl+C",
+    "Ctrl+A",
+    "Ctrl+V",
+    "Ctrl+X",
+    "Ctrl+S",
+    "Ctrl+P",
+    "Ctrl+U",
+    "F12",
+];
+
+/**
+ * ショートカットの表記を正規化する。
+ * 修飾キーは Ctrl → Alt → Shift の順に並べ、キーは大文字にする。
+ * 例: "shift+ctrl+i" → "Ctrl+Shift+I"、"Cmd+c" → "Ctrl+C"
+ *
+ * @param {string} combo - ショートカットの文字列
+ * @returns {string|null} 正規化した文字列、形式が正しくなければ null
+ */
+function normalizeKeyCombo(combo) {
+    if (typeof combo !== "string") return null;
+
+    const parts = combo.split("+").map((part) => part.trim()).filter(Boolean);
+    const key = parts.pop()?.toUpperCase();
+    if (!key || !/^([A-Z0-9]|F([1-9]|1[0-2]))$/.test(key)) return null;
+
+    const modifiers = new Set();
+    for (const part of parts) {
+        const name = part.toLowerCase();
+        if (name === "ctrl" || name === "cmd" || name === "control" || name === "meta") {
+            modifiers.add("Ctrl");
+        } else if (name === "alt" || name === "option") {
+            modifiers.add("Alt");
+        } else if (name === "shift") {
+            modifiers.add("Shift");
+        } else {
+            return null;
+        }
+    }
+
+    return ["Ctrl", "Alt", "Shift"]
+        .filter((modifier) => modifiers.has(modifier))
+        .concat(key)
+        .join("+");
+}
+
+// =====================================================
+// 表示用のヘルパー
+// =====================================================
+
+/**
+ * 期限付きの解除の残り時間を表示用の文字列にする。
+ * 例: 90000000 → "1日1時間"、3000000 → "50分"
+ *
+ * @param {number} ms - 残り時間（ミリ秒）
+ * @returns {string} 残り時間の文字列
+ */
+function formatRemaining(ms) {
+    if (ms < 60000) return "1分未満";
+
+    const minutes = Math.ceil(ms / 60000);
+
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return hours > 0 ? `${days}日${hours}時間` : `${days}日`;
+    if (hours > 0) return minutes % 60 > 0 ? `${hours}時間${minutes % 60}分` : `${hours}時間`;
+    return `${minutes}分`;
+}
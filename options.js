@@ -2,16 +2,71 @@
  * EnableRightClick - Options Script
  *
  * オプションページのロジック。
- * 許可済みサイトの一覧表示・個別削除・全削除を行う。
+ * 許可済みサイト・パターンルールの一覧表示・解除機能の設定・個別削除・全削除を行う。
+ * 許可済みサイトは検索・並べ替え・複数選択での削除・使っていないサイトの整理ができる。
+ * すべてのサイトで解除するグローバルモードの切り替えと除外リストの編集もここで行う。
+ * キーボード機能で保護するショートカットの編集もここで行う。
+ * サイト一覧と設定の JSON でのインポート・エクスポートもここで行う。
+ * 端末間の同期の ON/OFF と、同期されたサイトのこの端末での許可もここで行う。
  */
 
 document.addEventListener("DOMContentLoaded", async () => {
     const siteList = document.getElementById("site-list");
+    const patternList = document.getElementById("pattern-list");
     const emptyState = document.getElementById("empty-state");
     const removeAllBtn = document.getElementById("remove-all-btn");
+    const siteSearch = document.getElementById("site-search");
+    const siteSort = document.getElementById("site-sort");
+    const siteBulk = document.getElementById("site-bulk");
+    const selectAll = document.getElementById("select-all");
+    const removeSelectedBtn = document.getElementById("remove-selected-btn");
+    const unusedDays = document.getElementById("unused-days");
+    const selectUnusedBtn = document.getElementById("select-unused-btn");
+    const unusedResult = document.getElementById("unused-result");
+    const globalToggle = document.getElementById("global-toggle");
+    const globalFeatures = document.getElementById("global-features");
+    const exclusionList = document.getElementById("exclusion-list");
+    const exclusionInput = document.getElementById("exclusion-input");
+    const exclusionAddBtn = document.getElementById("exclusion-add-btn");
+    const exclusionError = document.getElementById("exclusion-error");
+    const comboList = document.getElementById("combo-list");
+    const comboInput = document.getElementById("combo-input");
+    const comboAddBtn = document.getElementById("combo-add-btn");
+    const comboResetBtn = document.getElementById("combo-reset-btn");
+    const comboError = document.getElementById("combo-error");
+    const syncToggle = document.getElementById("sync-toggle");
+    const syncStatus = document.getElementById("sync-status");
+    const syncError = document.getElementById("sync-error");
+    const syncList = document.getElementById("sync-list");
+    const syncGrantBtn = document.getElementById("sync-grant-btn");
+    const exportBtn = document.getElementById("export-btn");
+    const importBtn = document.getElementById("import-btn");
+    const importFile = document.getElementById("import-file");
+    const importResult = document.getElementById("import-result");
+    const importGrantBtn = document.getElementById("import-grant-btn");
+    const importRejected = document.getElementById("import-rejected");
+
+    /** 許可済みサイトの並べ替え（site-sort の value ごとの比較関数） */
+    const SITE_SORTERS = {
+        "added-desc": (a, b) => b.addedAt - a.addedAt,
+        "added-asc": (a, b) => a.addedAt - b.addedAt,
+        "name": (a, b) => a.origin.replace(/^https?:\/\//, "").localeCompare(b.origin.replace(/^https?:\/\//, "")),
+        "used-desc": (a, b) => (b.lastInjectedAt ?? 0) - (a.lastInjectedAt ?? 0),
+        "used-asc": (a, b) => (a.lastInjectedAt ?? 0) - (b.lastInjectedAt ?? 0),
+        "count-desc": (a, b) => b.injectionCount - a.injectionCount,
+    };
+
+    let siteRecords = [];     // 許可済みサイトのレコード
+    let siteSettings = {};    // ルールごとの解除機能の設定
+    let siteExpirations = {}; // 期限付きのルールの期限
+    const selectedOrigins = new Set();
+    let combos = [];
+    let pendingImport = null; // 権限の許可を待っているインポート
 
     // --- 初期表示 ---
     await loadSites();
+    await loadCombos();
+    await loadSync();
 
     // --- 全削除ボタン ---
     removeAllBtn.addEventListener("click", async () => {
@@ -21,19 +76,499 @@ document.addEventListener("DOMContentLoaded", async () => {
         await loadSites();
     });
 
+    // --- 許可済みサイトの検索・並べ替え ---
+    siteSearch.addEventListener("input", renderOrigins);
+    siteSort.addEventListener("change", renderOrigins);
+
+    // --- 表示中のサイトをすべて選択・選択解除 ---
+    selectAll.addEventListener("change", () => {
+        for (const origin of JSON.parse(selectAll.dataset.origins || "[]")) {
+            if (selectAll.checked) {
+                selectedOrigins.add(origin);
+            } else {
+                selectedOrigins.delete(origin);
+            }
+        }
+        renderOrigins();
+    });
+
+    // --- 選択したサイトを削除 ---
+    removeSelectedBtn.addEventListener("click", async () => {
+        if (!confirm(`選択した ${selectedOrigins.size} 件のサイトの許可を取り消しますか？`)) return;
+
+        await chrome.runtime.sendMessage({ type: "removeOrigins", origins: [...selectedOrigins] });
+        selectedOrigins.clear();
+        unusedResult.textContent = "";
+        await loadSites();
+    });
+
+    // --- 使っていないサイトを選択 ---
+    // 最後に自動で解除した日（一度もなければ追加した日）が N 日より前のサイトを選択する
+    selectUnusedBtn.addEventListener("click", () => {
+        const days = Number(unusedDays.value);
+        if (!(days >= 1)) {
+            unusedResult.textContent = "1 以上の日数を入力してください";
+            return;
+        }
+
+        const threshold = Date.now() - days * 24 * 60 * 60 * 1000;
+        const unused = siteRecords.filter((record) => (record.lastInjectedAt ?? record.addedAt) < threshold);
+
+        selectedOrigins.clear();
+        unused.forEach((record) => selectedOrigins.add(record.origin));
+        siteSearch.value = "";
+        siteSort.value = "used-asc";
+        renderOrigins();
+
+        unusedResult.textContent = unused.length > 0
+            ? `${unused.length} 件を選択しました。確認して「選択した ${unused.length} 件を削除」を押してください`
+            : `${days} 日以上使っていないサイトはありません`;
+    });
+
+    // --- グローバルモードの切り替え ---
+    // "<all_urls>" の権限はユーザー操作の延長で要求する必要があるため、ここで要求する
+    globalToggle.addEventListener("change", async () => {
+        globalToggle.disabled = true;
+
+        if (globalToggle.checked) {
+            const granted = await chrome.permissions.request({ origins: [GLOBAL_RULE] });
+            if (granted) {
+                await chrome.runtime.sendMessage({ type: "enableGlobal" });
+            }
+        } else {
+            await chrome.runtime.sendMessage({ type: "disableGlobal" });
+        }
+
+        globalToggle.disabled = false;
+        await loadSites();
+    });
+
+    // --- 除外リストへの追加 ---
+    exclusionAddBtn.addEventListener("click", addExclusion);
+    exclusionInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") addExclusion();
+    });
+
     /**
-     * 許可済みサイト一覧を読み込んで表示する。
+     * 入力欄のオリジンまたはパターンを除外リストに追加する。
+     * URL が入力された場合は Background Script がオリジンに直す。
+     */
+    async function addExclusion() {
+        exclusionError.textContent = "";
+
+        const result = await chrome.runtime.sendMessage({
+            type: "excludeSite",
+            site: exclusionInput.value.trim(),
+        });
+        if (!result.success) {
+            exclusionError.textContent = "形式が正しくありません（例: https://example.com、*://*.example.com/*）";
+            return;
+        }
+
+        exclusionInput.value = "";
+        renderExclusions(result.excludedSites);
+    }
+
+    /**
+     * 除外リストを表示する。
+     * @param {string[]} sites - オリジンまたはパターンの配列
+     */
+    function renderExclusions(sites) {
+        exclusionList.innerHTML = "";
+
+        if (sites.length === 0) {
+            exclusionList.innerHTML = `<p class="section-hint">除外しているサイトはありません</p>`;
+            return;
+        }
+
+        sites.forEach((site) => {
+            const item = document.createElement("div");
+            item.className = "site-item site-row";
+
+            const origin = document.createElement("span");
+            origin.className = "site-origin";
+            origin.textContent = site;
+
+            const removeBtn = document.createElement("button");
+            removeBtn.className = "remove-btn";
+            removeBtn.textContent = "削除";
+            removeBtn.addEventListener("click", async () => {
+                const result = await chrome.runtime.sendMessage({ type: "includeSite", site });
+                if (result.success) renderExclusions(result.excludedSites);
+            });
+
+            item.append(origin, removeBtn);
+            exclusionList.appendChild(item);
+        });
+    }
+
+    // --- ショートカットの入力 ---
+    // 修飾キー付きのキーやファンクションキーを押すと、その組み合わせを入力欄に書き込む。
+    // 修飾キーなしの英数字は、そのまま文字として入力できるようにする。
+    comboInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+            addCombo();
+            return;
+        }
+
+        const isFunctionKey = /^F([1-9]|1[0-2])$/.test(e.key);
+        if (!isFunctionKey && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+        if (["Control", "Meta", "Alt", "Shift"].includes(e.key)) return;
+
+        e.preventDefault();
+        const key = /^(Key|Digit)/.test(e.code) ? e.code.slice(-1) : e.key;
+        const modifiers = [];
+        if (e.ctrlKey || e.metaKey) modifiers.push("Ctrl");
+        if (e.altKey) modifiers.push("Alt");
+        if (e.shiftKey) modifiers.push("Shift");
+        comboInput.value = [...modifiers, key].join("+");
+    });
+
+    comboAddBtn.addEventListener("click", addCombo);
+
+    comboResetBtn.addEventListener("click", async () => {
+        await saveCombos(DEFAULT_KEYBOARD_COMBOS);
+    });
+
+    // --- 同期の ON/OFF ---
+    syncToggle.addEventListener("change", async () => {
+        syncToggle.disabled = true;
+        const status = await chrome.runtime.sendMessage({
+            type: "setSyncEnabled",
+            enabled: syncToggle.checked,
+        });
+        syncToggle.disabled = false;
+
+        renderSync(status);
+        await loadSites();
+        await loadCombos();
+    });
+
+    // --- 同期されたサイトをこの端末で許可 ---
+    // 権限は端末ごとなので、未許可のサイトの権限を1回のダイアログでまとめて要求する
+    syncGrantBtn.addEventListener("click", async () => {
+        const patterns = JSON.parse(syncGrantBtn.dataset.patterns);
+        try {
+            await chrome.permissions.request({ origins: patterns });
+        } catch {
+            // 拒否された場合は未許可のまま表示される
+        }
+
+        const status = await chrome.runtime.sendMessage({ type: "applySyncedSites" });
+        renderSync(status);
+        await loadSites();
+    });
+
+    /**
+     * 同期の状態を読み込んで表示する。
+     */
+    async function loadSync() {
+        renderSync(await chrome.runtime.sendMessage({ type: "getSyncStatus" }));
+    }
+
+    /**
+     * 同期の状態と、同期されているサイトごとのこの端末での許可の状態を表示する。
+     *
+     * @param {Object} status - { enabled, error, bytesInUse, quotaBytes, sites }
+     */
+    function renderSync(status) {
+        syncToggle.checked = status.enabled;
+        syncError.textContent = status.error ? `同期できませんでした: ${status.error}` : "";
+        syncList.innerHTML = "";
+        syncGrantBtn.style.display = "none";
+
+        if (!status.enabled) {
+            syncStatus.textContent = "";
+            return;
+        }
+
+        const used = (status.bytesInUse / 1024).toFixed(1);
+        const quota = Math.round(status.quotaBytes / 1024);
+        syncStatus.textContent = `同期中のサイト: ${status.sites.length} 件（使用量 ${used} KB / ${quota} KB）`;
+
+        status.sites.forEach(({ rule, granted }) => {
+            const item = document.createElement("div");
+            item.className = "site-item site-row";
+
+            const origin = document.createElement("span");
+            origin.className = "site-origin";
+            origin.textContent = rule;
+
+            const state = document.createElement("span");
+            state.className = "sync-state";
+            state.classList.toggle("pending", !granted);
+            state.textContent = granted ? "この端末で許可済み" : "この端末では未許可";
+
+            item.append(origin, state);
+            syncList.appendChild(item);
+        });
+
+        const pending = status.sites.filter((site) => !site.granted);
+        if (pending.length > 0) {
+            syncGrantBtn.dataset.patterns = JSON.stringify(
+                pending.map((site) => toPermissionPattern(site.rule))
+            );
+            syncGrantBtn.textContent = `未許可の ${pending.length} 件をこの端末で許可`;
+            syncGrantBtn.style.display = "inline-block";
+        }
+    }
+
+    // --- エクスポート ---
+    exportBtn.addEventListener("click", async () => {
+        const response = await chrome.runtime.sendMessage({ type: "exportSites" });
+        const json = JSON.stringify(response.data, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "enable-right-click-sites.json";
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+
+    // --- インポート ---
+    importBtn.addEventListener("click", () => {
+        importFile.value = "";
+        importFile.click();
+    });
+
+    importFile.addEventListener("change", async () => {
+        const file = importFile.files[0];
+        if (!file) return;
+
+        const mode = document.querySelector("input[name='import-mode']:checked").value;
+        if (mode === "replace" && !confirm("今の一覧を、ファイルのサイトで置き換えますか？")) return;
+
+        await prepareImport(file, mode);
+    });
+
+    // --- インポートするサイトの権限を許可 ---
+    // chrome.permissions.request() はクリックの延長で呼ぶ必要があるため、
+    // ファイルを選んだ後にもう一度ボタンを押してもらう
+    importGrantBtn.addEventListener("click", async () => {
+        const { rules, rejected, mode, missing } = pendingImport;
+        pendingImport = null;
+        importGrantBtn.style.display = "none";
+
+        try {
+            await chrome.permissions.request({ origins: missing });
+        } catch {
+            // 拒否された場合は、権限のないサイトが取り込まれずに報告される
+        }
+        await importSites(rules, rejected, mode);
+    });
+
+    /**
+     * JSON ファイルを読み込んで検証し、取り込みの準備をする。
+     *
+     * 処理の流れ:
+     * 1. Background Script でファイルの中身を検証する
+     * 2. まだ権限のないサイトがあれば、1回のダイアログでまとめて許可してもらうボタンを出す
+     * 3. すべて権限があれば、そのまま取り込む
+     *
+     * @param {File} file - 選択された JSON ファイル
+     * @param {"merge"|"replace"} mode - 既存の一覧に追加するか、置き換えるか
+     */
+    async function prepareImport(file, mode) {
+        pendingImport = null;
+        importGrantBtn.style.display = "none";
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            renderImportResult([], [{ entry: file.name, reason: "JSON として読み込めません" }]);
+            return;
+        }
+
+        const { rules, rejected } = await chrome.runtime.sendMessage({ type: "parseImport", data });
+
+        const missing = [];
+        for (const { rule } of rules) {
+            const pattern = toPermissionPattern(rule);
+            if (!(await chrome.permissions.contains({ origins: [pattern] }))) {
+                missing.push(pattern);
+            }
+        }
+
+        if (missing.length === 0) {
+            await importSites(rules, rejected, mode);
+            return;
+        }
+
+        pendingImport = { rules, rejected, mode, missing };
+        importResult.textContent = `${rules.length} 件のうち ${missing.length} 件はまだ権限がありません。`;
+        importRejected.innerHTML = "";
+        importGrantBtn.textContent = `${missing.length} 件の権限を許可して取り込む`;
+        importGrantBtn.style.display = "inline-block";
+    }
+
+    /**
+     * 検証済みのルールを Background Script に取り込ませ、結果を表示する。
+     *
+     * @param {{rule: string, settings: Object}[]} rules - 取り込むルールと設定
+     * @param {{entry: string, reason: string}[]} rejected - 検証で弾かれたもの
+     * @param {"merge"|"replace"} mode - 既存の一覧に追加するか、置き換えるか
+     */
+    async function importSites(rules, rejected, mode) {
+        const result = await chrome.runtime.sendMessage({ type: "importSites", rules, mode });
+
+        renderImportResult(result.imported || [], [...rejected, ...(result.rejected || [])]);
+        await loadSites();
+    }
+
+    /**
+     * インポートの結果を表示する。
+     *
+     * @param {string[]} imported - 取り込んだルール
+     * @param {{entry: string, reason: string}[]} rejected - 取り込めなかったものと理由
+     */
+    function renderImportResult(imported, rejected) {
+        importResult.textContent = rejected.length > 0
+            ? `${imported.length} 件を取り込みました。次の ${rejected.length} 件は取り込めませんでした:`
+            : `${imported.length} 件を取り込みました。`;
+
+        importRejected.innerHTML = "";
+        rejected.forEach(({ entry, reason }) => {
+            const item = document.createElement("li");
+            item.textContent = `${entry} — ${reason}`;
+            importRejected.appendChild(item);
+        });
+    }
+
+    /**
+     * 入力欄のショートカットを一覧に追加する。
+     */
+    async function addCombo() {
+        comboError.textContent = "";
+
+        const combo = normalizeKeyCombo(comboInput.value);
+        if (!combo) {
+            comboError.textContent = "形式が正しくありません（例: Ctrl+C、Ctrl+Shift+I、F12）";
+            return;
+        }
+        if (combos.includes(combo)) {
+            comboError.textContent = `${combo} はすでに登録されています`;
+            return;
+        }
+
+        comboInput.value = "";
+        await saveCombos([...combos, combo]);
+    }
+
+    /**
+     * 保護するショートカットの一覧を読み込んで表示する。
+     */
+    async function loadCombos() {
+        const response = await chrome.runtime.sendMessage({ type: "getKeyboardCombos" });
+        combos = response.combos || [];
+        renderCombos();
+    }
+
+    /**
+     * ショートカットの一覧を保存する。
+     * Background Script が有効化済みのタブにも反映する。
+     *
+     * @param {string[]} newCombos - 保存するショートカットの配列
+     */
+    async function saveCombos(newCombos) {
+        const result = await chrome.runtime.sendMessage({
+            type: "updateKeyboardCombos",
+            combos: newCombos,
+        });
+
+        if (result.success) {
+            combos = result.combos;
+            renderCombos();
+        }
+    }
+
+    /**
+     * ショートカットの一覧を表示する。
+     */
+    function renderCombos() {
+        comboList.innerHTML = "";
+
+        if (combos.length === 0) {
+            comboList.innerHTML = `<p class="section-hint">保護するショートカットはありません</p>`;
+            return;
+        }
+
+        combos.forEach((combo) => {
+            const chip = document.createElement("span");
+            chip.className = "combo-chip";
+            chip.textContent = combo;
+
+            const removeBtn = document.createElement("button");
+            removeBtn.className = "combo-remove";
+            removeBtn.title = "削除";
+            removeBtn.textContent = "×";
+            removeBtn.addEventListener("click", () => {
+                saveCombos(combos.filter((c) => c !== combo));
+            });
+
+            chip.appendChild(removeBtn);
+            comboList.appendChild(chip);
+        });
+    }
+
+    /**
+     * 許可済みサイト一覧とパターンルール一覧を読み込んで表示する。
      */
     async function loadSites() {
         const response = await chrome.runtime.sendMessage({
             type: "getEnabledOrigins",
         });
-        const origins = response.origins || [];
+        siteRecords = response.records || [];
+        siteSettings = response.settings || {};
+        siteExpirations = response.expirations || {};
+        const patterns = response.patterns || [];
+
+        // 削除されたサイトは選択からも外す
+        for (const origin of selectedOrigins) {
+            if (!siteRecords.some((record) => record.origin === origin)) selectedOrigins.delete(origin);
+        }
+
+        // グローバルモードと除外リスト
+        globalToggle.checked = !!response.globalMode;
+        globalFeatures.innerHTML = "";
+        globalFeatures.style.display = response.globalMode ? "flex" : "none";
+        if (response.globalMode) {
+            renderFeatures(globalFeatures, GLOBAL_RULE, siteSettings[GLOBAL_RULE]);
+        }
+        renderExclusions(response.excludedSites || []);
+
+        // 全削除ボタンはどちらかの一覧にルールがあれば表示
+        removeAllBtn.style.display =
+            siteRecords.length + patterns.length > 0 ? "block" : "none";
+
+        renderOrigins();
+
+        patternList.innerHTML = "";
+        if (patterns.length === 0) {
+            patternList.innerHTML = `
+        <div class="empty-state">
+          <p>パターンルールはありません</p>
+          <p class="hint">ポップアップの「まとめて有効化」からドメイン全体を有効化できます</p>
+        </div>
+      `;
+        }
+        patterns.forEach((pattern) => {
+            patternList.appendChild(
+                createSiteItem(pattern, siteSettings[pattern], siteExpirations[pattern], "removePattern")
+            );
+        });
+    }
 
-        // 一覧をクリア
+    /**
+     * 許可済みサイトの一覧を、検索語と並べ替えの指定に合わせて表示する。
+     * ストレージは読み直さず、loadSites で取得したレコードから描画する。
+     */
+    function renderOrigins() {
         siteList.innerHTML = "";
+        siteBulk.style.display = siteRecords.length > 0 ? "flex" : "none";
 
-        if (origins.length === 0) {
+        if (siteRecords.length === 0) {
             // 空状態
             siteList.innerHTML = `
         <div class="empty-state" id="empty-state">
@@ -41,42 +576,206 @@ document.addEventListener("DOMContentLoaded", async () => {
           <p class="hint">ツールバーのアイコンをクリックしてサイトを有効化してください</p>
         </div>
       `;
-            removeAllBtn.style.display = "none";
+            updateBulkControls([]);
             return;
         }
 
-        // 全削除ボタンを表示
-        removeAllBtn.style.display = "block";
+        const query = siteSearch.value.trim().toLowerCase();
+        const visible = siteRecords
+            .filter((record) =>
+                !query ||
+                record.origin.toLowerCase().includes(query) ||
+                record.note.toLowerCase().includes(query)
+            )
+            .sort(SITE_SORTERS[siteSort.value]);
 
-        // 各オリジンのカードを生成
-        origins.forEach((origin) => {
-            const item = document.createElement("div");
-            item.className = "site-item";
-            item.innerHTML = `
-        <span class="site-origin">${escapeHtml(origin)}</span>
-        <button class="remove-btn" data-origin="${escapeHtml(origin)}">削除</button>
-      `;
+        if (visible.length === 0) {
+            siteList.innerHTML = `<p class="section-hint">「${escapeHtml(siteSearch.value.trim())}」に一致するサイトはありません</p>`;
+        }
+
+        const fragment = document.createDocumentFragment();
+        visible.forEach((record) => {
+            fragment.appendChild(
+                createSiteItem(
+                    record.origin,
+                    siteSettings[record.origin],
+                    siteExpirations[record.origin],
+                    "removeOrigin",
+                    record
+                )
+            );
+        });
+        siteList.appendChild(fragment);
 
-            // 削除ボタンのイベント
-            item.querySelector(".remove-btn").addEventListener("click", async (e) => {
-                const targetOrigin = e.target.dataset.origin;
+        updateBulkControls(visible);
+    }
 
-                // フェードアウトアニメーション
-                item.classList.add("removing");
-                await new Promise((resolve) => setTimeout(resolve, 200));
+    /**
+     * 「すべて選択」と「選択したサイトを削除」の状態を、表示中のサイトと選択に合わせる。
+     * @param {Object[]} visible - 表示中のサイトのレコード
+     */
+    function updateBulkControls(visible) {
+        const selectedVisible = visible.filter((record) => selectedOrigins.has(record.origin));
+        selectAll.checked = visible.length > 0 && selectedVisible.length === visible.length;
+        selectAll.indeterminate = selectedVisible.length > 0 && selectedVisible.length < visible.length;
+        selectAll.dataset.origins = JSON.stringify(visible.map((record) => record.origin));
 
-                // Background Script に削除要求
-                const result = await chrome.runtime.sendMessage({
-                    type: "removeOrigin",
-                    origin: targetOrigin,
-                });
+        removeSelectedBtn.disabled = selectedOrigins.size === 0;
+        removeSelectedBtn.textContent = selectedOrigins.size > 0
+            ? `選択した ${selectedOrigins.size} 件を削除`
+            : "選択したサイトを削除";
+    }
+
+    /**
+     * 1件分のルールのカードを生成する。
+     * 許可済みサイト（record あり）には、選択用のチェックボックス・使用状況・メモ欄も付ける。
+     *
+     * @param {string} rule - オリジンまたはパターン
+     * @param {Object} ruleSettings - ルールの設定
+     * @param {number|undefined} expiresAt - 期限付きの場合は無効になる時刻
+     * @param {string} removeType - 削除時に送るメッセージの type
+     * @param {Object} [record] - 許可済みサイトのレコード（パターンルールでは省略）
+     * @returns {HTMLElement} カード要素
+     */
+    function createSiteItem(rule, ruleSettings, expiresAt, removeType, record) {
+        const item = document.createElement("div");
+        item.className = "site-item";
+
+        const row = document.createElement("div");
+        row.className = "site-row";
 
-                if (result.success) {
-                    await loadSites(); // 再描画
+        if (record) {
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.className = "site-select";
+            checkbox.checked = selectedOrigins.has(rule);
+            checkbox.addEventListener("change", () => {
+                if (checkbox.checked) {
+                    selectedOrigins.add(rule);
+                } else {
+                    selectedOrigins.delete(rule);
                 }
+                renderOrigins();
+            });
+            row.appendChild(checkbox);
+        }
+
+        const origin = document.createElement("span");
+        origin.className = "site-origin";
+        origin.textContent = rule;
+        row.appendChild(origin);
+
+        if (expiresAt) {
+            const expiry = document.createElement("span");
+            expiry.className = "site-expiry";
+            expiry.textContent = `残り ${formatRemaining(expiresAt - Date.now())}`;
+            row.appendChild(expiry);
+        }
+
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "remove-btn";
+        removeBtn.textContent = "削除";
+        removeBtn.addEventListener("click", async () => {
+            // フェードアウトアニメーション
+            item.classList.add("removing");
+            await new Promise((resolve) => setTimeout(resolve, 200));
+
+            // Background Script に削除要求
+            const result = await chrome.runtime.sendMessage({
+                type: removeType,
+                origin: rule,
+                pattern: rule,
+            });
+
+            if (result.success) {
+                await loadSites(); // 再描画
+            }
+        });
+        row.appendChild(removeBtn);
+        item.appendChild(row);
+
+        if (record) {
+            const meta = document.createElement("div");
+            meta.className = "site-meta";
+            meta.textContent = [
+                `追加: ${formatDate(record.addedAt)}`,
+                `最後に使った日: ${record.lastInjectedAt ? formatDate(record.lastInjectedAt) : "なし"}`,
+                `${record.injectionCount} 回`,
+            ].join(" ・ ");
+
+            const note = document.createElement("input");
+            note.type = "text";
+            note.className = "site-note";
+            note.placeholder = "メモ";
+            note.maxLength = 200;
+            note.value = record.note;
+            note.addEventListener("change", async () => {
+                record.note = note.value.trim();
+                await chrome.runtime.sendMessage({
+                    type: "updateSiteNote",
+                    origin: rule,
+                    note: record.note,
+                });
+            });
+
+            item.append(meta, note);
+        }
+
+        // 解除機能のチェックボックスは、件数が多くても一覧が長くならないよう折りたたむ
+        const details = document.createElement("details");
+        details.className = "site-details";
+        const summary = document.createElement("summary");
+        summary.textContent = "解除する機能";
+        const features = document.createElement("div");
+        features.className = "site-features";
+        renderFeatures(features, rule, ruleSettings);
+        details.append(summary, features);
+        item.appendChild(details);
+
+        return item;
+    }
+
+    /**
+     * 時刻を日付の文字列にする（例: 2024/1/31）。
+     * @param {number} time - 時刻（ミリ秒）
+     * @returns {string}
+     */
+    function formatDate(time) {
+        return new Date(time).toLocaleDateString("ja-JP");
+    }
+
+    /**
+     * サイトの解除機能のチェックボックスを生成する。
+     * 変更するたびに Background Script に設定を送信する。
+     *
+     * @param {HTMLElement} container - チェックボックスの挿入先
+     * @param {string} rule - 対象のオリジンまたはパターン
+     * @param {Object} siteSettings - 現在の設定
+     */
+    function renderFeatures(container, rule, siteSettings) {
+        const current = normalizeSettings(siteSettings);
+
+        FEATURES.forEach((feature) => {
+            const label = document.createElement("label");
+            label.className = "feature-chip";
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = current[feature.key];
+            checkbox.addEventListener("change", async () => {
+                current[feature.key] = checkbox.checked;
+                await chrome.runtime.sendMessage({
+                    type: "updateSettings",
+                    rule: rule,
+                    settings: current,
+                });
             });
 
-            siteList.appendChild(item);
+            const text = document.createElement("span");
+            text.textContent = feature.label;
+
+            label.append(checkbox, text);
+            container.appendChild(label);
         });
     }
 
@@ -4,6 +4,9 @@
  * ポップアップUI のロジック。
  * Background Script とメッセージングで通信し、
  * 現在のサイトの有効/無効状態を表示・切り替えする。
+ * ドメイン全体やカスタムパターンでの有効化もここから行う。
+ * このタブだけ・期限付きの一時的な解除もここから行う。
+ * グローバルモードでは、サイトを除外リストに加える・外すこともできる。
  */
 
 document.addEventListener("DOMContentLoaded", async () => {
@@ -11,13 +14,39 @@ document.addEventListener("DOMContentLoaded", async () => {
     const toggle = document.getElementById("toggle");
     const toggleLabel = document.getElementById("toggle-label");
     const toggleArea = document.getElementById("toggle-area");
+    const expiryDisplay = document.getElementById("expiry-display");
+    const temporaryArea = document.getElementById("temporary-area");
+    const globalArea = document.getElementById("global-area");
+    const globalLabel = document.getElementById("global-label");
+    const excludeBtn = document.getElementById("exclude-btn");
+    const onceBtn = document.getElementById("once-btn");
     const originDisplay = document.getElementById("origin-display");
+    const ruleDisplay = document.getElementById("rule-display");
     const unsupportedMessage = document.getElementById("unsupported-message");
     const settingsBtn = document.getElementById("settings-btn");
+    const featureArea = document.getElementById("feature-area");
+    const featureList = document.getElementById("feature-list");
+    const patternArea = document.getElementById("pattern-area");
+    const domainBtn = document.getElementById("domain-btn");
+    const patternInput = document.getElementById("pattern-input");
+    const patternBtn = document.getElementById("pattern-btn");
+    const patternError = document.getElementById("pattern-error");
+    const frameArea = document.getElementById("frame-area");
+    const frameList = document.getElementById("frame-list");
+    const imageArea = document.getElementById("image-area");
+    const imageList = document.getElementById("image-list");
+    const mediaArea = document.getElementById("media-area");
+    const mediaList = document.getElementById("media-list");
+    const overlayArea = document.getElementById("overlay-area");
+    const overlayToggle = document.getElementById("overlay-toggle");
+    const overlayList = document.getElementById("overlay-list");
+    const scanArea = document.getElementById("scan-area");
+    const scanList = document.getElementById("scan-list");
+    const scanNote = document.getElementById("scan-note");
 
     // --- 初期状態の取得 ---
     // Background Script に現在のタブの状態を問い合わせる
-    const status = await chrome.runtime.sendMessage({ type: "getStatus" });
+    let status = await chrome.runtime.sendMessage({ type: "getStatus" });
 
     if (!status.supported) {
         // chrome:// や about: などの特殊ページでは使えない
@@ -27,13 +56,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         return;
     }
 
-    // オリジンを表示
-    originDisplay.textContent = status.origin;
-
-    // トグルの状態を反映
-    toggle.checked = status.enabled;
-    toggle.disabled = false;
-    updateLabel(status.enabled);
+    render();
 
     // --- トグル切り替え時の処理 ---
     toggle.addEventListener("change", async () => {
@@ -69,14 +92,83 @@ document.addEventListener("DOMContentLoaded", async () => {
         const result = await chrome.runtime.sendMessage({ type: action });
 
         if (result.success) {
-            updateLabel(result.enabled);
-            toggle.checked = result.enabled;
+            await refresh();
         } else {
             // 失敗した場合は元に戻す
             toggle.checked = !toggle.checked;
+            toggle.disabled = false;
         }
+    });
 
-        toggle.disabled = false;
+    // --- グローバルモードの除外 ---
+    // すべてのサイトで解除している時に、このサイトだけ解除しない（または除外をやめる）
+    excludeBtn.addEventListener("click", async () => {
+        const message = status.excludedBy
+            ? { type: "includeSite", site: status.excludedBy }
+            : { type: "excludeSite", site: status.origin };
+        const result = await chrome.runtime.sendMessage(message);
+        if (result.success) await refresh();
+    });
+
+    // --- このタブだけ解除 ---
+    // ポップアップを開いた時点で activeTab の権限があるため、サイトの許可は要求しない
+    onceBtn.addEventListener("click", async () => {
+        const result = await chrome.runtime.sendMessage({ type: "unlockOnce" });
+        if (result.success) await refresh();
+    });
+
+    // --- 期限付きで有効化 ---
+    // 期限が来ると Background Script がルールを無効化する
+    temporaryArea.querySelectorAll("button[data-duration]").forEach((button) => {
+        button.addEventListener("click", async () => {
+            const granted = await chrome.permissions.request({ origins: [status.origin + "/*"] });
+            if (!granted) return;
+
+            const result = await chrome.runtime.sendMessage({
+                type: "enable",
+                duration: Number(button.dataset.duration),
+            });
+            if (result.success) await refresh();
+        });
+    });
+
+    // --- ドメイン全体で有効化 ---
+    domainBtn.addEventListener("click", () => enableWithPattern(status.domainPattern));
+
+    // --- カスタムパターンで有効化 ---
+    patternBtn.addEventListener("click", () => enableWithPattern(patternInput.value.trim()));
+    patternInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") enableWithPattern(patternInput.value.trim());
+    });
+
+    // --- 解除機能の変更 ---
+    featureList.addEventListener("change", async () => {
+        const updated = {};
+        featureList.querySelectorAll("input[data-feature]").forEach((checkbox) => {
+            updated[checkbox.dataset.feature] = checkbox.checked;
+        });
+
+        // 今回限りの解除中はルールがないので、保存せずにタブへ直接届ける
+        if (status.unlockedOnce) {
+            await chrome.runtime.sendMessage({ type: "configureOnceTab", settings: updated });
+            return;
+        }
+
+        // パターンルールで有効化されている場合は、そのルールの設定を変更する
+        await chrome.runtime.sendMessage({
+            type: "updateSettings",
+            rule: status.rule || status.origin,
+            settings: updated,
+        });
+    });
+
+    // --- 無効化したオーバーレイの表示 ---
+    overlayToggle.addEventListener("change", async () => {
+        overlayList.style.display = overlayToggle.checked ? "flex" : "none";
+        if (!overlayToggle.checked) return;
+
+        const response = await chrome.runtime.sendMessage({ type: "getOverlayReport" });
+        renderOverlays(response.overlays || []);
     });
 
     // --- 設定ボタン（オプションページを開く） ---
@@ -88,6 +180,399 @@ document.addEventListener("DOMContentLoaded", async () => {
         window.close();
     });
 
+    // --- 画像・メディア・検出結果の読み込み ---
+    // ページの状態によっては時間がかかるため、操作を受け付けられるようにしてから待たずに読み込む
+    loadImages();
+    loadMedia();
+    loadScan();
+
+    /**
+     * パターンルールで有効化する。
+     * トグルと同じく、権限の要求はユーザー操作の延長であるポップアップ側で行う。
+     *
+     * @param {string} pattern - マッチパターン
+     */
+    async function enableWithPattern(pattern) {
+        patternError.textContent = "";
+
+        if (!isValidMatchPattern(pattern)) {
+            patternError.textContent = "パターンの形式が正しくありません（例: *://*.example.com/*）";
+            return;
+        }
+
+        const granted = await chrome.permissions.request({ origins: [pattern] });
+        if (!granted) return;
+
+        // 現在のオリジンそのものを指すパターンなら、通常の有効化と同じ扱いにする
+        const message = pattern === status.origin + "/*"
+            ? { type: "enable" }
+            : { type: "enablePattern", pattern };
+        const result = await chrome.runtime.sendMessage(message);
+
+        if (result.success) {
+            patternInput.value = "";
+            await refresh();
+        } else {
+            patternError.textContent = "有効化できませんでした";
+        }
+    }
+
+    /**
+     * Background Script から状態を取得し直して表示を更新する。
+     */
+    async function refresh() {
+        status = await chrome.runtime.sendMessage({ type: "getStatus" });
+        render();
+    }
+
+    /**
+     * 現在の状態（status）をポップアップ全体に反映する。
+     */
+    function render() {
+        // オリジンを表示
+        originDisplay.textContent = status.origin;
+
+        // パターンルールで有効化されている場合はルールも表示
+        const enabledByPattern = status.enabled && status.rule !== status.origin && status.rule !== GLOBAL_RULE;
+        ruleDisplay.textContent = enabledByPattern ? `ルール: ${status.rule}` : "";
+        ruleDisplay.style.display = enabledByPattern ? "block" : "none";
+
+        // グローバルモードで解除中・除外中のサイトでは、除外の切り替えを表示
+        const enabledByGlobal = status.enabled && status.rule === GLOBAL_RULE;
+        const excluded = status.globalMode && !status.enabled && !!status.excludedBy;
+        globalArea.style.display = enabledByGlobal || excluded ? "flex" : "none";
+        globalLabel.textContent = excluded
+            ? `除外中: ${status.excludedBy}`
+            : "すべてのサイトで解除中";
+        excludeBtn.textContent = excluded ? "除外をやめる" : "このサイトでは解除しない";
+
+        // トグルの状態を反映
+        toggle.checked = status.enabled;
+        toggle.disabled = false;
+        updateLabel(status.enabled);
+
+        // 期限付き・今回限りの解除の状態を表示
+        if (status.expiresAt) {
+            expiryDisplay.textContent = `残り ${formatRemaining(status.expiresAt - Date.now())} で無効になります`;
+        } else if (status.unlockedOnce) {
+            expiryDisplay.textContent = "このタブだけ解除中（リロードすると元に戻ります）";
+        } else {
+            expiryDisplay.textContent = "";
+        }
+        expiryDisplay.style.display = expiryDisplay.textContent ? "block" : "none";
+        temporaryArea.style.display = status.enabled || status.unlockedOnce ? "none" : "block";
+
+        // 解除する機能のチェックボックスを生成（解除していないタブでは変更できない）
+        renderFeatures(status.settings, !status.enabled && !status.unlockedOnce);
+        featureArea.style.display = "block";
+
+        // 未有効化のサイトでのみパターンでの有効化を提案する
+        patternArea.style.display = status.enabled ? "none" : "block";
+        domainBtn.style.display = status.domainPattern ? "block" : "none";
+        domainBtn.textContent = `${status.domainPattern} で有効化`;
+        patternInput.placeholder = status.domainPattern || "*://*.example.com/*";
+
+        // オーバーレイ除去が ON のサイトでのみ、無効化した要素を確認できる
+        overlayArea.style.display = status.enabled && status.settings.overlay ? "block" : "none";
+
+        // iframe があるページでは、フレームごとの解除状態を表示
+        renderFrames(status.frames || []);
+    }
+
+    /**
+     * 最後に右クリックした位置の画像の候補を読み込んで表示する。
+     * 背景の複数レイヤーや ::before など候補が複数ある場合に、
+     * 救出された画像（★）以外も開いたり URL をコピーしたりできる。
+     */
+    async function loadImages() {
+        if (!status.enabled || !status.settings.imageRescue) {
+            imageArea.style.display = "none";
+            return;
+        }
+
+        const response = await chrome.runtime.sendMessage({ type: "getImageCandidates" });
+        const images = response.images || [];
+        imageArea.style.display = images.length > 0 ? "block" : "none";
+        imageList.innerHTML = "";
+
+        images.forEach((image) => {
+            const item = document.createElement("li");
+            item.className = "image-item";
+
+            const thumb = document.createElement("img");
+            thumb.className = "image-thumb";
+            thumb.src = image.url;
+            thumb.alt = "";
+
+            const info = document.createElement("div");
+            info.className = "image-info";
+            const kind = document.createElement("div");
+            kind.className = "image-kind";
+            kind.classList.toggle("best", image.best);
+            kind.textContent = `${image.kind}（${image.element}）`;
+            const url = document.createElement("div");
+            url.className = "image-url";
+            url.textContent = image.url;
+            url.title = image.url;
+            info.append(kind, url);
+
+            item.append(thumb, info, ...createUrlButtons(image.url));
+            imageList.appendChild(item);
+        });
+    }
+
+    /**
+     * ページ内の動画・音声のソースを読み込んで表示する。
+     * blob: の URL（ストリーミング）はページの外では開けないため、ボタンを出さない。
+     */
+    async function loadMedia() {
+        if (!status.enabled || !status.settings.media) {
+            mediaArea.style.display = "none";
+            return;
+        }
+
+        const response = await chrome.runtime.sendMessage({ type: "getMediaSources" });
+        const media = response.media || [];
+        mediaArea.style.display = media.length > 0 ? "block" : "none";
+        mediaList.innerHTML = "";
+
+        media.forEach((source) => {
+            const item = document.createElement("li");
+            item.className = "image-item";
+
+            const info = document.createElement("div");
+            info.className = "image-info";
+            const kind = document.createElement("div");
+            kind.className = "image-kind";
+            kind.textContent = `${source.kind}（${source.element}）`;
+            const url = document.createElement("div");
+            url.className = "image-url";
+            url.textContent = source.streaming ? "ストリーミング（URL なし）" : source.url;
+            url.title = source.url ?? "";
+            info.append(kind, url);
+
+            item.append(info, ...(source.streaming ? [] : createUrlButtons(source.url)));
+            mediaList.appendChild(item);
+        });
+    }
+
+    /**
+     * ページが使っている制限を検出し、解除で無効化した数と並べて表示する。
+     * 検出はポップアップを開いた時の activeTab の権限で行うため、未解除のサイトでも動く。
+     * addEventListener のリスナーは解除中のページでしか数えられない（Content Script が記録する）。
+     */
+    async function loadScan() {
+        const { scan, stats } = await chrome.runtime.sendMessage({ type: "scanPage" });
+        if (!scan) {
+            scanArea.style.display = "none";
+            return;
+        }
+
+        const sum = (counts, types) => types.reduce((total, type) => total + (counts?.[type] || 0), 0);
+        const inlineCount = Object.values(scan.inlineHandlers).reduce((total, count) => total + count, 0);
+
+        // found: 検出した数（null は数えられない）、neutralized: 解除で無効化した数
+        const rows = [
+            {
+                label: "インラインの on* 属性",
+                // 解除中は属性が削除されているので、削除した数を足す
+                // （削除した後に同じ要素へ代入されたハンドラーは scanner.js が除いている）
+                found: inlineCount + scan.handlerProperties.length + (stats?.inlineHandlers ?? 0),
+                neutralized: stats?.inlineHandlers ?? 0,
+            },
+            {
+                label: "user-select: none の要素",
+                // 指定が当たる要素の数と、そのうち今のスタイルで選択できる要素の数
+                found: scan.userSelect.matched,
+                neutralized: stats ? scan.userSelect.selectable : 0,
+            },
+            ...[
+                ["contextmenu のリスナー", ["contextmenu"]],
+                ["コピー・貼り付けのリスナー", ["copy", "cut", "paste"]],
+                ["キー入力のリスナー", ["keydown", "keyup", "keypress"]],
+            ].map(([label, types]) => ({
+                label: label,
+                found: stats ? sum(stats.listeners, types) : null,
+                neutralized: sum(stats?.blocked, types),
+            })),
+            {
+                label: "透明なオーバーレイ",
+                found: scan.overlays,
+                neutralized: stats?.overlays ?? 0,
+            },
+            {
+                label: "選択の解除",
+                found: scan.selectionWipes,
+                neutralized: stats?.selectionWipes ?? 0,
+            },
+        ];
+
+        scanArea.style.display = "block";
+        scanList.innerHTML = "";
+
+        rows.forEach((row) => {
+            const item = document.createElement("li");
+            item.className = "scan-item";
+
+            const label = document.createElement("span");
+            label.className = "scan-label";
+            label.textContent = row.label;
+
+            const count = document.createElement("span");
+            count.className = "scan-count";
+            if (row.found === null) {
+                count.textContent = "解除中のみ計測";
+            } else {
+                count.classList.toggle("found", row.found > 0 || row.neutralized > 0);
+                count.textContent = stats
+                    ? `検出 ${row.found} / 無効化 ${row.neutralized}`
+                    : `検出 ${row.found}`;
+            }
+
+            item.append(label, count);
+            scanList.appendChild(item);
+        });
+
+        // 別オリジンのスタイルシートや外部スクリプトは中身を読めないため、数に含まれない
+        const notes = [];
+        if (scan.userSelect.unreadable > 0) {
+            notes.push(`読めないスタイルシート ${scan.userSelect.unreadable} 件は含まない`);
+        }
+        if (stats) {
+            notes.push("リスナーと無効化は解除してからの回数");
+        } else {
+            // addEventListener で登録されたリスナーは後から一覧できず、登録を数えられるのは解除中だけ
+            notes.push("リスナーはこのページを解除している間だけ数えられる");
+        }
+        scanNote.textContent = notes.join("。");
+    }
+
+    /**
+     * URL を新しいタブで開くボタンと、コピーするボタンを生成する。
+     *
+     * @param {string} url - 対象の URL
+     * @returns {HTMLButtonElement[]} [開くボタン, コピーボタン]
+     */
+    function createUrlButtons(url) {
+        const openBtn = document.createElement("button");
+        openBtn.className = "pattern-btn image-btn";
+        openBtn.textContent = "開く";
+        openBtn.addEventListener("click", () => {
+            chrome.tabs.create({ url: url });
+        });
+
+        const copyBtn = document.createElement("button");
+        copyBtn.className = "pattern-btn image-btn";
+        copyBtn.textContent = "コピー";
+        copyBtn.addEventListener("click", async () => {
+            await navigator.clipboard.writeText(url);
+            copyBtn.textContent = "完了";
+        });
+
+        return [openBtn, copyBtn];
+    }
+
+    /**
+     * オーバーレイ回避で無効化した要素を一覧表示する。
+     * 右クリックした時に、下の要素を覆っていたクリックシールドが記録される。
+     *
+     * @param {Object[]} overlays - { frameId, element, size, score, reasons, time } の配列
+     */
+    function renderOverlays(overlays) {
+        overlayList.innerHTML = "";
+
+        if (overlays.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "overlay-empty";
+            empty.textContent = "まだ何も無効化していません（右クリックした時に判定します）";
+            overlayList.appendChild(empty);
+            return;
+        }
+
+        overlays.forEach((overlay) => {
+            const item = document.createElement("li");
+            item.className = "overlay-item";
+
+            const element = document.createElement("div");
+            element.className = "overlay-element";
+            element.textContent = overlay.frameId === 0
+                ? overlay.element
+                : `${overlay.element}（フレーム ${overlay.frameId}）`;
+
+            const detail = document.createElement("div");
+            detail.className = "overlay-detail";
+            detail.textContent = `${overlay.size} / ${overlay.score}点: ${overlay.reasons.join("、")}`;
+
+            item.append(element, detail);
+            overlayList.appendChild(item);
+        });
+    }
+
+    /**
+     * タブ内の各フレームの解除状態を一覧表示する。
+     * クロスオリジンの iframe はそのオリジン自身が許可されている場合のみ解除される。
+     *
+     * @param {Object[]} frames - { frameId, url, origin, unlocked } の配列
+     */
+    function renderFrames(frames) {
+        frameList.innerHTML = "";
+        frameArea.style.display = frames.length > 1 ? "block" : "none";
+
+        frames.forEach((frame) => {
+            const item = document.createElement("li");
+            item.className = "frame-item";
+
+            const url = document.createElement("span");
+            url.className = "frame-url";
+            if (frame.frameId === 0) {
+                url.textContent = "メイン";
+            } else if (frame.url.startsWith("about:")) {
+                // about:blank / srcdoc は引き継いだオリジンを併記
+                url.textContent = `${frame.url} (${frame.origin ?? "?"})`;
+            } else {
+                url.textContent = frame.url;
+            }
+            url.title = frame.url;
+
+            const state = document.createElement("span");
+            state.className = "frame-state";
+            state.classList.toggle("active", frame.unlocked);
+            state.textContent = frame.unlocked ? "解除中" : "未解除";
+
+            item.append(url, state);
+            frameList.appendChild(item);
+        });
+    }
+
+    /**
+     * 解除機能ごとのチェックボックスを生成する。
+     * 変更すると Background Script に設定を送信し、
+     * 有効化済みのサイト・今回限りの解除中のタブならタブに反映される。
+     *
+     * @param {Object} settings - 現在のサイトの設定
+     * @param {boolean} disabled - 変更できないようにするかどうか
+     */
+    function renderFeatures(settings, disabled) {
+        featureList.innerHTML = "";
+
+        FEATURES.forEach((feature) => {
+            const label = document.createElement("label");
+            label.className = "feature-item";
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.dataset.feature = feature.key;
+            checkbox.checked = settings[feature.key];
+            checkbox.disabled = disabled;
+
+            const text = document.createElement("span");
+            text.textContent = feature.label;
+
+            label.append(checkbox, text);
+            featureList.appendChild(label);
+        });
+    }
+
     /**
      * トグルラベルのテキストとスタイルを更新する。
      * @param {boolean} enabled - 有効かどうか
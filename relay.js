@@ -0,0 +1,175 @@
+/**
+ * EnableRightClick - 中継スクリプト（ISOLATED ワールド）
+ *
+ * content.js はページと同じ MAIN ワールドで動くため、chrome.runtime を使えず、
+ * Background Script と直接やり取りできない。このスクリプトは同じフレームの
+ * ISOLATED ワールドで動き、MessagePort で content.js と通信して中継する。
+ *
+ *   Background Script ──(chrome.tabs.sendMessage)──> relay.js ──(MessagePort)──> content.js
+ *   Background Script <──(chrome.runtime.sendMessage)── relay.js <──(MessagePort)── content.js
+ *
+ * === MessagePort の受け渡し ===
+ * window.postMessage はページのスクリプトも送受信できるため、通信には使わない。
+ * connect() のたびに MessageChannel を作り、片方のポートだけを一度 window.postMessage で
+ * content.js に渡す。content.js はページより先に登録したリスナーでポートを受け取り、
+ * ページのリスナーに伝わらないよう止める（content.js の 7 を参照）。
+ * 以降のやり取りはポートだけで行うので、ページからは見えず、偽装もできない。
+ * 接続中に渡し直す時は、今のポートで合言葉を先に送り、合言葉の付いたポートだけを
+ * content.js に受け取らせる（ページが自分のポートを渡して差し替えるのを防ぐ）。
+ * ポートが使えなくなった場合（応答がない場合）は未接続として扱い、
+ * Background Script に別の方法（再注入）で届けてもらう。
+ * ただしページのスクリプトは MAIN ワールドの content.js を直接操作できるので、
+ * content.js から受け取るのはバッジに出す回数だけにして、それ以外の操作は受け付けない。
+ */
+
+(function () {
+  "use strict";
+
+  // --- 二重実行防止 ---
+  // 注入し直した場合は、Background Script が connect() でポートを渡し直させる
+  if (globalThis.__enableRightClickRelay) return;
+
+  // メッセージの識別子（content.js の BRIDGE_CHANNEL と同じ）
+  const BRIDGE_CHANNEL = "enable-right-click";
+
+  // content.js がメッセージを受け取ったと返すまでの待ち時間（ミリ秒）
+  const ACK_TIMEOUT = 1000;
+
+  let port = null; // content.js が受け取ったポート（未接続なら null）
+  let requested = false; // Background Script が接続を求めたかどうか
+
+  // content.js に渡したが、まだ受け取ったと返事のないポート
+  // （content.js の起動の通知と行き違いで、複数渡すことがある）
+  const offeredPorts = new Set();
+
+  let nextRequestId = 0;
+  const pendingAcks = new Map(); // メッセージの ID → 受け取りを知らせる関数
+
+  /**
+   * 新しい MessageChannel を作り、片方のポートを content.js に渡す。
+   * 接続中なら、今のポートで合言葉を先に送っておく（content.js は合言葉の付いたポートだけを受け取る）。
+   * content.js から受け取ったと返事のあったポートに切り替える。
+   */
+  function offerPort() {
+    const token = crypto.randomUUID();
+    port?.postMessage({ type: "reconnect", token });
+
+    const channel = new MessageChannel();
+    const offered = channel.port1;
+    offered.onmessage = (event) => handlePortMessage(offered, event);
+    offeredPorts.add(offered);
+    window.postMessage(
+      { channel: BRIDGE_CHANNEL, type: "connect", from: "extension", token },
+      "*",
+      [channel.port2]
+    );
+  }
+
+  /**
+   * ポートが使えなくなったものとして、未接続に戻す。
+   */
+  function dropPort() {
+    if (port) port.onmessage = null;
+    port = null;
+  }
+
+  /**
+   * content.js にメッセージを送り、受け取ったかどうかを返す。
+   * 応答がなければ、ポートが使えなくなった（content.js が別のポートに切り替えた等）とみなす。
+   *
+   * @param {Object} payload - content.js に届けるメッセージ
+   * @returns {Promise<boolean>}
+   */
+  function sendToPage(payload) {
+    return new Promise((resolve) => {
+      const id = ++nextRequestId;
+      const timer = setTimeout(() => {
+        pendingAcks.delete(id);
+        resolve(false);
+      }, ACK_TIMEOUT);
+      pendingAcks.set(id, () => {
+        clearTimeout(timer);
+        pendingAcks.delete(id);
+        resolve(true);
+      });
+      port.postMessage({ ...payload, id });
+    });
+  }
+
+  // --- content.js からのメッセージ（ポート経由） ---
+  function handlePortMessage(source, event) {
+    const data = event.data;
+
+    // ポートを受け取った（これ以降は configure を届けられる）
+    if (data?.type === "connected" && offeredPorts.has(source)) {
+      offeredPorts.delete(source);
+      dropPort();
+      port = source;
+      return;
+    }
+    if (source !== port) return;
+
+    switch (data?.type) {
+      // configure を受け取った
+      case "ack":
+        pendingAcks.get(data.id)?.();
+        return;
+
+      // 後始末で通信を終えた
+      case "disconnected":
+        port.close();
+        dropPort();
+        offeredPorts.forEach((offered) => offered.close());
+        offeredPorts.clear();
+        requested = false;
+        return;
+
+      // 無効化したページの操作の回数（累計）
+      case "blocked":
+        if (!Number.isInteger(data.total) || data.total < 0) return;
+        chrome.runtime.sendMessage({ type: "blockedActions", total: data.total }).catch(() => {
+          // 拡張機能の更新・再読み込みで接続が切れた場合
+        });
+        return;
+    }
+  }
+
+  // --- content.js の起動の通知 ---
+  // connect() の時点で content.js がまだ動いていなかった場合は、起動時の通知を受けて渡し直す。
+  // 通知には秘密の情報がなく、受け取り済みなら応じないので、ページが偽装しても害はない。
+  window.addEventListener("message", (event) => {
+    const data = event.data;
+    if (event.source !== window || !requested || port) return;
+    if (data?.channel !== BRIDGE_CHANNEL || data.from !== "page" || data.type !== "ready") return;
+    offerPort();
+  });
+
+  // --- Background Script からのメッセージ ---
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== "bridge") return;
+
+    // 未接続・応答がない場合は false を返し、Background Script に別の方法で届けてもらう
+    if (!port) {
+      sendResponse(false);
+      return;
+    }
+    const sentPort = port;
+    sendToPage(message.payload).then((delivered) => {
+      // 待っている間に渡し直したポートは落とさない
+      if (!delivered && port === sentPort) dropPort();
+      sendResponse(delivered);
+    });
+    return true;
+  });
+
+  globalThis.__enableRightClickRelay = {
+    /**
+     * content.js にポートを渡し、通信を始める。
+     * content.js はポートを受け取ると、接続前に数えた回数もまとめて送ってくる。
+     */
+    connect() {
+      requested = true;
+      offerPort();
+    },
+  };
+})();
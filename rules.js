@@ -0,0 +1,154 @@
+/**
+ * EnableRightClick - サイトルール
+ *
+ * 有効化の単位となる「ルール」を扱うヘルパー関数群。
+ * ルールは次の2種類:
+ *
+ * - オリジン:     "https://example.com"（そのオリジンだけに一致）
+ * - パターン:     "*://*.example.com/*"（Chrome のマッチパターン形式）
+ *
+ * このほか、すべての http / https のページで解除するグローバルモードを
+ * 特別なルール GLOBAL_RULE（"<all_urls>"）として扱う。
+ *
+ * Background Script（importScripts）とポップアップ・オプションページから読み込む。
+ * UI 側では権限を要求する前にパターンを検証・変換する必要があるため、
+ * Background Script だけでなく UI 側でも同じ検証関数を使う。
+ */
+
+/**
+ * サポートするマッチパターンの形式。
+ * スキームは http / https / *、ホストは具体的なホスト名か "*." 付きのドメイン。
+ * すべてのサイトに一致する "*://*\/*" のようなパターンは受け付けない。
+ */
+const MATCH_PATTERN_RE = /^(\*|https?):\/\/((?:\*\.)?[^/*:]+(?::\d+)?)(\/.*)$/;
+
+/**
+ * グローバルモード（すべてのサイトで解除）のルール。
+ * 要求する権限の "<all_urls>" と同じ文字列で、設定もこのキーで保存する。
+ */
+const GLOBAL_RULE = "<all_urls>";
+
+/**
+ * 2階層で1つの登録ドメインになるサフィックス。
+ * Public Suffix List の全体は大きすぎるため、よく使われるものだけを持つ。
+ */
+const MULTI_LEVEL_SUFFIXES = [
+    "co.jp", "ne.jp", "or.jp", "ac.jp", "go.jp", "ad.jp", "ed.jp", "gr.jp", "lg.jp",
+    "co.uk", "org.uk", "ac.uk", "gov.uk",
+    "com.au", "net.au", "org.au",
+    "co.kr", "com.cn", "com.tw", "com.br", "co.nz", "co.in",
+];
+
+/**
+ * 文字列がサポートするマッチパターンかどうかを判定する。
+ * @param {string} pattern - 判定する文字列
+ * @returns {boolean}
+ */
+function isValidMatchPattern(pattern) {
+    return typeof pattern === "string" && MATCH_PATTERN_RE.test(pattern);
+}
+
+/**
+ * ルールに対応する権限用のマッチパターンを返す。
+ * 例: "https://example.com" → "https://example.com/*"
+ *     "*://*.example.com/*" → そのまま
+ *     "<all_urls>"          → そのまま
+ *
+ * @param {string} rule - オリジンまたはパターン
+ * @returns {string} chrome.permissions に渡すマッチパターン
+ */
+function toPermissionPattern(rule) {
+    return isValidMatchPattern(rule) || rule === GLOBAL_RULE ? rule : rule + "/*";
+}
+
+/**
+ * URL がルール（オリジンまたはパターン）に一致するかを判定する。
+ * @param {string} url - 判定する URL
+ * @param {string} rule - オリジンまたはパターン
+ * @returns {boolean}
+ */
+function matchesRule(url, rule) {
+    if (isValidMatchPattern(rule)) return matchesPattern(url, rule);
+    try {
+        return new URL(url).origin === rule;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * URL がマッチパターンに一致するかを判定する。
+ * @param {string} url - 判定する URL
+ * @param {string} pattern - マッチパターン
+ * @returns {boolean}
+ */
+function matchesPattern(url, pattern) {
+    const match = pattern.match(MATCH_PATTERN_RE);
+    if (!match) return false;
+
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return false;
+    }
+
+    const [, scheme, host, path] = match;
+
+    // スキーム: "*" は http と https のみに一致する（Chrome の仕様と同じ）
+    const protocol = urlObj.protocol.slice(0, -1);
+    if (scheme === "*" ? protocol !== "http" && protocol !== "https" : protocol !== scheme) {
+        return false;
+    }
+
+    // ホスト: ポート指定がある場合はポートまで比較する
+    const target = host.includes(":") ? urlObj.host : urlObj.hostname;
+    if (host.startsWith("*.")) {
+        const base = host.slice(2);
+        if (target !== base && !target.endsWith("." + base)) return false;
+    } else if (target !== host) {
+        return false;
+    }
+
+    // パス: "*" を任意の文字列として扱う
+    const pathRe = new RegExp(
+        "^" + path.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$"
+    );
+    return pathRe.test(urlObj.pathname + urlObj.search);
+}
+
+/**
+ * ホスト名から登録ドメイン（サブドメインを除いた部分）を推定する。
+ * 例: "news.example.co.jp" → "example.co.jp"
+ *
+ * IP アドレスや "localhost" のようなドットを含まないホストは null を返す。
+ *
+ * @param {string} hostname - ホスト名
+ * @returns {string|null} 登録ドメイン、または null
+ */
+function getRegistrableDomain(hostname) {
+    if (!hostname.includes(".") || /^[\d.]+$/.test(hostname) || hostname.startsWith("[")) {
+        return null;
+    }
+
+    const labels = hostname.split(".");
+    const suffix = labels.slice(-2).join(".");
+    const count = MULTI_LEVEL_SUFFIXES.includes(suffix) ? 3 : 2;
+    return labels.slice(-count).join(".");
+}
+
+/**
+ * URL の登録ドメイン全体に一致するパターンを生成する。
+ * 例: "https://news.example.com/article" → "*://*.example.com/*"
+ *
+ * @param {string} url - URL文字列
+ * @returns {string|null} パターン、または null（生成できない場合）
+ */
+function getDomainPattern(url) {
+    try {
+        const domain = getRegistrableDomain(new URL(url).hostname);
+        return domain ? `*://*.${domain}/*` : null;
+    } catch {
+        return null;
+    }
+}
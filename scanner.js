@@ -0,0 +1,194 @@
+/**
+ * EnableRightClick - 制限の検出スクリプト
+ *
+ * ポップアップを開いた時に、activeTab の権限で現在のページ（メインフレーム）へ注入し、
+ * ページが使っている制限の手口を数えて返す。サイトを許可していなくても動く。
+ * content.js と違ってページには何も手を加えず、読み取るだけ。
+ *
+ * chrome.scripting.executeScript({ files: ["scanner.js"] }) の戻り値として
+ * 最後の式（この IIFE の戻り値）が Background Script に返る。
+ *
+ * addEventListener で登録されたリスナーは後から一覧できないため、ここでは数えない。
+ * 解除済みのページでのみ content.js が登録を数えている（getStats）。
+ * 解除していないページでは、ポップアップにリスナーは数えられないことを表示する。
+ */
+
+(function () {
+  "use strict";
+
+  // 制限に使われるイベントのインライン属性・on* プロパティ
+  const HANDLER_EVENTS = [
+    "contextmenu", "selectstart", "copy", "cut", "paste",
+    "dragstart", "drag", "keydown", "keyup", "keypress", "mousedown", "mouseup",
+  ];
+
+  // 要素を数える上限（巨大なページでポップアップの表示を待たせないため）
+  const ELEMENT_LIMIT = 5000;
+
+  // 選択の解除（window.getSelection().removeAllRanges() 等）の呼び出し
+  const SELECTION_WIPE_RE = /\.removeAllRanges\s*\(|getSelection\(\)\s*\.\s*empty\s*\(|selection\.empty\s*\(/gi;
+
+  // content.js が追加するスタイル（自分の user-select: text は数えない）
+  const OWN_STYLE_ID = "enable-right-click-style";
+
+  /**
+   * インライン属性（oncontextmenu="return false" 等）をイベントごとに数える。
+   */
+  function countInlineHandlers() {
+    const counts = {};
+    const selector = HANDLER_EVENTS.map((type) => `[on${type}]`).join(",");
+    for (const el of document.querySelectorAll(selector)) {
+      for (const type of HANDLER_EVENTS) {
+        if (el.hasAttribute("on" + type)) counts[type] = (counts[type] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * window・document・<html>・<body> にプロパティで代入された on* ハンドラーを探す。
+   * 属性から作られたハンドラーはインライン属性として数えるので除く。
+   * 解除済みのページで content.js が属性を削除した後に代入されたものも、
+   * 削除した属性として数えられている（getStats）ので除く。
+   */
+  function findHandlerProperties() {
+    const targets = [
+      ["window", window],
+      ["document", document],
+      ["html", document.documentElement],
+      ["body", document.body],
+    ];
+    const found = [];
+    for (const [name, target] of targets) {
+      if (!target) continue;
+      const removed = window.__enableRightClick?.getRemovedHandlers?.(target) ?? [];
+      for (const type of HANDLER_EVENTS) {
+        if (typeof target["on" + type] === "function" && !target.hasAttribute?.("on" + type) &&
+          !removed.includes("on" + type)) {
+          found.push(`${name}.on${type}`);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * user-select: none を指定しているスタイルシートのルールと、style 属性の要素を数える。
+   * 別オリジンのスタイルシートは中身を読めないため、その数も返す。
+   *
+   * それらが当たる要素（matched）のうち、今の計算済みスタイルで選択できる要素（selectable）も数える。
+   * 解除済みのページでは、content.js のスタイルで実際に選択できるようになった数になる。
+   */
+  function countUserSelect() {
+    let rules = 0;
+    let unreadable = 0;
+    const selectors = [];
+
+    const visit = (ruleList) => {
+      for (const rule of ruleList) {
+        if (rule.cssRules) visit(rule.cssRules);
+        const value = rule.style?.getPropertyValue("user-select") ||
+          rule.style?.getPropertyValue("-webkit-user-select");
+        if (value !== "none") continue;
+        rules++;
+        if (rule.selectorText) selectors.push(rule.selectorText);
+      }
+    };
+
+    for (const sheet of document.styleSheets) {
+      if (sheet.ownerNode?.id === OWN_STYLE_ID) continue;
+      try {
+        visit(sheet.cssRules);
+      } catch {
+        unreadable++;
+      }
+    }
+
+    const matched = new Set();
+    let elements = 0;
+    for (const el of document.querySelectorAll("[style*='user-select']")) {
+      if (el.style.userSelect !== "none" && el.style.webkitUserSelect !== "none") continue;
+      elements++;
+      matched.add(el);
+    }
+    for (const selector of selectors) {
+      try {
+        for (const el of document.querySelectorAll(selector)) {
+          if (matched.size >= ELEMENT_LIMIT) break;
+          matched.add(el);
+        }
+      } catch {
+        // ::before などの疑似要素のセレクターは要素を選べない
+      }
+    }
+
+    let selectable = 0;
+    for (const el of matched) {
+      const style = getComputedStyle(el);
+      if ((style.userSelect || style.webkitUserSelect) !== "none") selectable++;
+    }
+
+    return { rules, elements, unreadable, matched: matched.size, selectable };
+  }
+
+  /**
+   * 画面の大部分を覆う透明な要素（クリックシールド）を数える。
+   * 解除済みのページで pointer-events: none にされたものも、検出した数に含める。
+   */
+  function countOverlays() {
+    const viewportArea = window.innerWidth * window.innerHeight;
+    if (!viewportArea || !document.body) return 0;
+
+    let count = 0;
+    const elements = document.body.getElementsByTagName("*");
+    for (let i = 0; i < elements.length && i < ELEMENT_LIMIT; i++) {
+      const el = elements[i];
+      const style = getComputedStyle(el);
+      if (style.position !== "fixed" && style.position !== "absolute") continue;
+
+      const rect = el.getBoundingClientRect();
+      const width = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+      const height = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+      if (width * height < viewportArea * 0.5) continue;
+
+      const transparent = Number(style.opacity) < 0.1 ||
+        ((style.backgroundColor === "transparent" || style.backgroundColor === "rgba(0, 0, 0, 0)") &&
+          (style.backgroundImage === "none" || style.backgroundImage === ""));
+      if (!transparent) continue;
+
+      const empty = !el.textContent.trim() &&
+        !el.querySelector("img, video, canvas, iframe, svg, input, textarea, select, button");
+      if (empty) count++;
+    }
+    return count;
+  }
+
+  /**
+   * ページ内のスクリプト（インラインの <script> と on* 属性）にある、選択の解除の呼び出しを数える。
+   * 外部ファイルのスクリプトは読めないため、実際に呼ばれた回数は content.js が数える。
+   */
+  function countSelectionWipes() {
+    let count = 0;
+    const sources = [
+      ...Array.from(document.scripts, (script) => (script.src ? "" : script.textContent)),
+      ...Array.from(
+        document.querySelectorAll(HANDLER_EVENTS.map((type) => `[on${type}]`).join(",")),
+        (el) => HANDLER_EVENTS.map((type) => el.getAttribute("on" + type) || "").join("\n")
+      ),
+    ];
+    for (const source of sources) {
+      count += source.match(SELECTION_WIPE_RE)?.length ?? 0;
+    }
+    return count;
+  }
+
+  return {
+    url: location.href,
+    unlocked: !!window.__enableRightClickInjected,
+    inlineHandlers: countInlineHandlers(),
+    handlerProperties: findHandlerProperties(),
+    userSelect: countUserSelect(),
+    overlays: countOverlays(),
+    selectionWipes: countSelectionWipes(),
+  };
+})();